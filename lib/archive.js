@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { formatReportDate, escapeHtml, isOverdue } = require('./helpers');
+
+const ARCHIVE_DIR = path.join(__dirname, '..', 'reports');
+
+// YYYY-MM-DD of the report day in the configured timezone
+function archiveDate(now) {
+  return new Date(now).toLocaleDateString('en-CA', { timeZone: getConfig().timezone });
+}
+
+// Headline counts for the index. A task counts as overdue once, whichever
+// sections it appears in.
+function reportSummary(report) {
+  const now = report.generatedAt;
+  const overdueIds = new Set();
+  for (const task of report.blockedTasks) {
+    if (isOverdue(task.dueDate, 'blocked', now)) overdueIds.add(task.id);
+  }
+  for (const task of report.taskUpdates) {
+    if (isOverdue(task.dueDate, task.status, now)) overdueIds.add(task.id);
+  }
+  return {
+    completed: report.completedTasks.length,
+    blocked: report.blockedTasks.length,
+    overdue: overdueIds.size,
+  };
+}
+
+function loadArchiveManifest(archiveDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(archiveDir, 'index.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function generateIndexHTML(manifest) {
+  const dates = Object.keys(manifest).sort().reverse();
+  let rows = '';
+  for (const date of dates) {
+    const entry = manifest[date];
+    const overdueStyle = entry.overdue > 0 ? ' style="color:#b71c1c;font-weight:bold;"' : '';
+    rows += `      <tr><td><a href="${escapeHtml(date)}.html">${escapeHtml(entry.reportDate)}</a></td><td>${entry.completed}</td><td>${entry.blocked}</td><td${overdueStyle}>${entry.overdue}</td></tr>\n`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Daily Activity Report Archive</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      margin: 40px;
+      color: #333;
+    }
+    h1 {
+      font-size: 18px;
+      margin: 0 0 20px 0;
+    }
+    table {
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    th, td {
+      padding: 4px 16px 4px 0;
+      text-align: left;
+    }
+    th {
+      border-bottom: 1px solid #ccc;
+    }
+    a {
+      color: inherit;
+    }
+  </style>
+</head>
+<body>
+  <h1>Daily Activity Report Archive</h1>
+${dates.length === 0 ? '  <div style="font-size:13px;color:#888;">No reports archived yet.</div>\n' : `  <table>
+    <thead>
+      <tr><th>Report</th><th>Completed</th><th>Blocked</th><th>Overdue</th></tr>
+    </thead>
+    <tbody>
+${rows}    </tbody>
+  </table>
+`}</body>
+</html>`;
+}
+
+// Writes reports/YYYY-MM-DD.html and rebuilds the index. A second run on the
+// same day replaces that day's entry.
+function archiveReport(report, html, archiveDir = ARCHIVE_DIR) {
+  const date = archiveDate(report.generatedAt);
+  fs.mkdirSync(archiveDir, { recursive: true });
+  fs.writeFileSync(path.join(archiveDir, `${date}.html`), html);
+
+  const manifest = loadArchiveManifest(archiveDir);
+  manifest[date] = { reportDate: formatReportDate(report.generatedAt), ...reportSummary(report) };
+  const sorted = Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(path.join(archiveDir, 'index.json'), JSON.stringify(sorted, null, 2));
+  fs.writeFileSync(path.join(archiveDir, 'index.html'), generateIndexHTML(sorted));
+
+  return path.join(archiveDir, `${date}.html`);
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  archiveDate,
+  reportSummary,
+  loadArchiveManifest,
+  generateIndexHTML,
+  archiveReport,
+};
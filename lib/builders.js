@@ -0,0 +1,502 @@
+const { getConfig } = require('./config');
+const clickup = require('./clickup');
+const {
+  isV15List,
+  formatDate,
+  getWorkdayCutoff,
+  stripV15Prefix,
+  getMostRecentMeaningfulComment,
+  matchedMembers,
+  memberInitials,
+  isOverdue,
+  isStale,
+  sortTasks,
+} = require('./helpers');
+const { parseFeatureDescription } = require('./features');
+const { buildFeatureProgress } = require('./progress');
+const { trackDateChanges, allStatusChanges, detectStatusChange, summarizeStatusHistory } = require('./snapshots');
+
+function buildCompletedTasks(allTasksByList, statusSnapshot, dateSnapshot, now) {
+  const cutoff = getWorkdayCutoff(now);
+  const completed = [];
+
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+    if (isV15List(list)) continue;
+    for (const task of tasks) {
+      const closedOrDone = task.date_closed || task.date_done;
+      if (!closedOrDone) continue;
+      const doneTime = parseInt(closedOrDone);
+      if (isNaN(doneTime) || doneTime < cutoff || doneTime > now) continue;
+
+      const statusChange = detectStatusChange(task, statusSnapshot, now);
+      const startDate = task.start_date ? formatDate(task.start_date) : 'TBD';
+      const completedDate = formatDate(closedOrDone);
+      const dateChanges = trackDateChanges(task.id, startDate, completedDate, dateSnapshot);
+      const startDateHistory = dateChanges.startDateHistory;
+
+      completed.push({
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        initials: memberInitials(task),
+        members: matchedMembers(task),
+        listName: list.name,
+        startDate,
+        completedDate,
+        startDateHistory,
+        statusChange,
+        statusHistory: summarizeStatusHistory(statusSnapshot[task.id], now),
+        note: null,
+      });
+    }
+  }
+
+  console.log(`  Completed in last 24h: ${completed.length}`);
+  return sortTasks(completed);
+}
+
+function buildBlockedTasks(allTasksByList, statusSnapshot, dateSnapshot, now) {
+  const blocked = [];
+
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+
+    const taskMap = new Map();
+    for (const t of tasks) taskMap.set(t.id, t);
+
+    for (const task of tasks) {
+      const status = (task.status?.status || '').toLowerCase();
+      if (status !== 'blocked') continue;
+
+      // Skip subtasks whose parent is not also blocked
+      if (task.parent) {
+        const parent = taskMap.get(task.parent);
+        const parentStatus = (parent?.status?.status || '').toLowerCase();
+        if (parentStatus !== 'blocked') continue;
+      }
+
+      const statusChange = detectStatusChange(task, statusSnapshot, now);
+      const startDate = task.start_date ? formatDate(task.start_date) : 'TBD';
+      const dueDate = task.due_date ? formatDate(task.due_date) : 'TBD';
+      const dateChanges = trackDateChanges(task.id, startDate, dueDate, dateSnapshot, now);
+      const startDateHistory = dateChanges.startDateHistory;
+      const dueDateHistory = dateChanges.dueDateHistory;
+
+      blocked.push({
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        initials: memberInitials(task),
+        members: matchedMembers(task),
+        listName: list.name,
+        startDate,
+        dueDate,
+        startDateHistory,
+        dueDateHistory,
+        statusChange,
+        statusHistory: summarizeStatusHistory(statusSnapshot[task.id], now),
+        note: null,
+      });
+    }
+  }
+
+  console.log(`  Blocked tasks: ${blocked.length}`);
+  return sortTasks(blocked);
+}
+
+function buildTaskUpdates(allTasksByList, statusSnapshot, dateSnapshot, completedTaskIds, now) {
+  const updates = [];
+
+  const { taskUpdateLists, excludedStatuses } = getConfig();
+
+  for (const listName of taskUpdateLists) {
+    const entry = allTasksByList.find(({ list }) =>
+      list.name.toLowerCase() === listName.toLowerCase()
+    );
+    if (!entry) continue;
+
+    for (const task of entry.tasks) {
+      if (task.parent) continue;
+      const status = (task.status?.status || '').toLowerCase();
+      if (excludedStatuses.includes(status)) continue;
+      if (completedTaskIds.has(task.id)) continue;
+
+      const statusChange = detectStatusChange(task, statusSnapshot, now);
+      const startDate = task.start_date ? formatDate(task.start_date) : 'TBD';
+      const dueDate = task.due_date ? formatDate(task.due_date) : 'TBD';
+      const dateChanges = trackDateChanges(task.id, startDate, dueDate, dateSnapshot, now);
+      const startDateHistory = dateChanges.startDateHistory;
+      const dueDateHistory = dateChanges.dueDateHistory;
+
+      updates.push({
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        initials: memberInitials(task),
+        members: matchedMembers(task),
+        status: task.status?.status || 'Unknown',
+        listName: entry.list.name,
+        startDate,
+        dueDate,
+        startDateHistory,
+        dueDateHistory,
+        statusChange,
+        statusHistory: summarizeStatusHistory(statusSnapshot[task.id], now),
+        note: null,
+        timeInStatus: null,
+      });
+    }
+  }
+
+  console.log(`  Task updates: ${updates.length}`);
+  return sortTasks(updates);
+}
+
+function buildRecentlyCreatedTasks(allTasksByList, now) {
+  const cutoff = getWorkdayCutoff(now);
+  const created = [];
+
+  for (const listName of getConfig().recentlyCreatedLists) {
+    const entry = allTasksByList.find(({ list }) =>
+      list.name.toLowerCase() === listName.toLowerCase()
+    );
+    if (!entry) continue;
+
+    for (const task of entry.tasks) {
+      if (task.parent) continue;
+      const createdTime = parseInt(task.date_created);
+      if (isNaN(createdTime) || createdTime < cutoff || createdTime > now) continue;
+
+      created.push({
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        initials: memberInitials(task),
+        members: matchedMembers(task),
+        listName: entry.list.name,
+        note: null,
+      });
+    }
+  }
+
+  console.log(`  Recently created: ${created.length}`);
+  return sortTasks(created);
+}
+
+// Fills in `note` (the latest meaningful comment) on tasks from any of the
+// sections. Comments are fetched in one batch after the sections are built,
+// so a task listed in two sections is only fetched once.
+async function attachNotes(...sections) {
+  const tasks = sections.flat();
+  const taskIds = [...new Set(tasks.map(t => t.id))];
+  console.log(`\nFetching comments for ${taskIds.length} tasks...`);
+  const comments = await clickup.fetchCommentsForTasks(taskIds);
+  for (const task of tasks) {
+    task.note = getMostRecentMeaningfulComment(comments.get(task.id) || []);
+  }
+}
+
+function buildFeatureUpdates(allTasksByList, detailedListMap, dateSnapshot, statusSnapshot, now) {
+  const features = [];
+
+  for (const { list, tasks } of allTasksByList) {
+    if (!isV15List(list)) continue;
+
+    const detailed = detailedListMap.get(list.id);
+    const content = detailed?.content || '';
+
+    const description = parseFeatureDescription(content);
+    const { status, originalSizing, sizingAfterPlanning, dailyReportNote } = description;
+
+    // Collect unique assignee initials across all tasks in the list
+    const allInitials = new Set();
+    for (const task of tasks) {
+      for (const init of memberInitials(task)) allInitials.add(init);
+    }
+
+    const startDate = detailed?.start_date ? formatDate(detailed.start_date) : 'TBD';
+    const dueDate = detailed?.due_date ? formatDate(detailed.due_date) : 'TBD';
+    const dateChanges = trackDateChanges(`feature_${list.id}`, startDate, dueDate, dateSnapshot, now);
+    // The feature's Status line is tracked like a task status, for period summaries
+    detectStatusChange({ id: `feature_${list.id}`, status: { status: status || 'TBD' } }, statusSnapshot, now);
+
+    // Build milestone list for this feature (custom_item_id === 1)
+    const milestones = [];
+    const milestoneMap = new Map(); // milestone task id -> milestone object
+    for (const task of tasks) {
+      if (task.custom_item_id !== 1) continue;
+
+      const statusChange = detectStatusChange(task, statusSnapshot, now);
+      const taskStartDate = task.start_date ? formatDate(task.start_date) : 'TBD';
+      const taskDueDate = task.due_date ? formatDate(task.due_date) : 'TBD';
+      const taskDateChanges = trackDateChanges(task.id, taskStartDate, taskDueDate, dateSnapshot, now);
+
+      const milestone = {
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        initials: memberInitials(task),
+        members: matchedMembers(task),
+        status: task.status?.status || 'Unknown',
+        startDate: taskStartDate,
+        dueDate: taskDueDate,
+        startDateHistory: taskDateChanges.startDateHistory,
+        dueDateHistory: taskDateChanges.dueDateHistory,
+        statusChange,
+        recentChanges: [],
+      };
+      milestones.push(milestone);
+      milestoneMap.set(task.id, milestone);
+    }
+
+    // Collect non-milestone tasks with recent status changes, grouped by parent milestone
+    const fortyEightHoursAgo = getWorkdayCutoff(now, 48);
+    const excludedStatuses = new Set(['to do', 'selected for development', 'in planning', 'paused', 'blocked', 'abandoned']);
+    const otherChanges = [];
+    for (const task of tasks) {
+      if (task.custom_item_id === 1) continue;
+      const currentStatus = (task.status?.status || '').toLowerCase();
+      if (excludedStatuses.has(currentStatus)) continue;
+      const updatedAt = parseInt(task.date_updated);
+      if (!updatedAt || updatedAt < fortyEightHoursAgo) continue;
+
+      // Look up from shared map first (change detected by an earlier builder this run),
+      // then try detectStatusChange for tasks not yet processed,
+      // then check snapshot for changes detected in a prior run (previousStatus + recent since)
+      let statusChange = allStatusChanges.get(task.id) || detectStatusChange(task, statusSnapshot, now);
+      if (!statusChange) {
+        const snap = statusSnapshot[task.id];
+        if (snap) {
+          const sinceMs = new Date(snap.since).getTime();
+          if (sinceMs >= fortyEightHoursAgo) {
+            const changeTime = task.date_updated
+              ? new Date(parseInt(task.date_updated)).toLocaleString('en-US', {
+                  timeZone: getConfig().timezone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true,
+                })
+              : null;
+            if (snap.previousStatus && snap.previousStatus !== snap.status) {
+              statusChange = { oldStatus: snap.previousStatus, newStatus: snap.status, changeTime };
+            } else {
+              // Task was recently seeded — show current status without old→new transition
+              statusChange = { oldStatus: null, newStatus: snap.status, changeTime };
+            }
+          }
+        }
+      }
+      if (!statusChange) continue;
+
+      const entry = {
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        statusChange,
+      };
+
+      const parentMilestone = task.parent ? milestoneMap.get(task.parent) : null;
+      if (parentMilestone) {
+        parentMilestone.recentChanges.push(entry);
+      } else {
+        otherChanges.push(entry);
+      }
+    }
+
+    const progress = buildFeatureProgress(tasks, statusSnapshot, detailed?.start_date, now);
+
+    // Add an "Other" bucket if there are ungrouped changes
+    if (otherChanges.length > 0) {
+      milestones.push({
+        id: null,
+        name: 'Other',
+        url: null,
+        priority: null,
+        initials: [],
+        status: '',
+        startDate: null,
+        dueDate: null,
+        previousStartDate: null,
+        previousDueDate: null,
+        statusChange: null,
+        recentChanges: otherChanges,
+      });
+    }
+
+    features.push({
+      id: list.id,
+      name: stripV15Prefix(list.name),
+      initials: [...allInitials],
+      status: status || 'TBD',
+      originalSizing: originalSizing || 'TBD',
+      sizingAfterPlanning: sizingAfterPlanning || 'TBD',
+      originalSizingDays: description.originalSizingDays,
+      sizingAfterPlanningDays: description.sizingAfterPlanningDays,
+      dailyReportNote: dailyReportNote || '',
+      startDate,
+      dueDate,
+      startDateHistory: dateChanges.startDateHistory,
+      dueDateHistory: dateChanges.dueDateHistory,
+      milestones,
+      progress,
+    });
+  }
+
+  console.log(`  Feature updates: ${features.length}`);
+  return features;
+}
+
+// Regroups the task sections by roster member for the optional By Engineer
+// section. Tasks appear under every member assigned to them; overdue tasks are
+// also listed under their own section, as that is what leads ask about first.
+function buildEngineerSummaries(completedTasks, blockedTasks, taskUpdates, now) {
+  const byMember = name => task => (task.members || []).includes(name);
+
+  const engineers = getConfig().teamMembers.map(({ name, handle }) => {
+    const blocked = blockedTasks.filter(byMember(name));
+    const inProgress = taskUpdates.filter(byMember(name)).filter(t => (t.status || '').toLowerCase() !== 'blocked');
+    return {
+      name,
+      initials: handle,
+      completed: completedTasks.filter(byMember(name)),
+      blocked,
+      inProgress,
+      overdue: [
+        ...blocked.filter(t => isOverdue(t.dueDate, 'blocked', now)),
+        ...inProgress.filter(t => isOverdue(t.dueDate, t.status, now)),
+      ],
+    };
+  });
+
+  console.log(`  Engineer summaries: ${engineers.length}`);
+  return engineers;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Open tasks in an active status, in every non-excluded list, v1.5 feature
+// lists included. Parked, abandoned and not-yet-started work is left out.
+function staleWorkCandidates(allTasksByList) {
+  const { excludedLists, activeStatuses } = getConfig();
+  const candidates = [];
+  for (const { list, tasks } of allTasksByList) {
+    if (excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      const status = (task.status?.status || '').toLowerCase();
+      if (!activeStatuses.includes(status) || task.date_closed || task.date_done) continue;
+      candidates.push({ list, task });
+    }
+  }
+  return candidates;
+}
+
+// Time in the current status comes from ClickUp's time-in-status data, or the
+// status snapshot when that is missing. Tasks quiet for `inactivityDays` have
+// their comments checked, since a comment is activity too.
+async function buildStaleWork(allTasksByList, timeInStatusData, statusSnapshot, now) {
+  const { inactivityDays } = getConfig();
+
+  const entries = staleWorkCandidates(allTasksByList).map(({ list, task }) => {
+    const minutes = timeInStatusData[task.id]?.current_status?.total_time?.by_minute;
+    const since = Date.parse(statusSnapshot[task.id]?.since);
+    const timeInStatus = minutes > 0 ? minutes * 60 * 1000 : !isNaN(since) && since < now ? now - since : null;
+    const status = task.status?.status || 'Unknown';
+    return {
+      id: task.id,
+      name: task.name,
+      url: task.url || null,
+      priority: task.priority || null,
+      initials: memberInitials(task),
+      members: matchedMembers(task),
+      status,
+      listName: list.name,
+      timeInStatus,
+      statusStale: timeInStatus != null && isStale(status, timeInStatus),
+      // --as-of reports see today's data; an update after `now` counts as `now`
+      lastActivity: Math.min(parseInt(task.date_updated), now) || null,
+    };
+  });
+
+  const quiet = entries.filter(e => e.lastActivity == null || now - e.lastActivity >= inactivityDays * DAY);
+  if (quiet.length > 0) {
+    console.log(`\nChecking comments on ${quiet.length} quiet tasks...`);
+    const comments = await clickup.fetchCommentsForTasks(quiet.map(e => e.id));
+    for (const entry of quiet) {
+      const commentTimes = (comments.get(entry.id) || []).map(c => parseInt(c.date)).filter(t => !isNaN(t) && t <= now);
+      entry.lastActivity = Math.max(entry.lastActivity || 0, ...commentTimes) || null;
+    }
+  }
+
+  const stale = entries
+    .map(entry => ({
+      ...entry,
+      lastActivity: entry.lastActivity ? formatDate(entry.lastActivity) : null,
+      inactiveDays: entry.lastActivity ? Math.floor((now - entry.lastActivity) / DAY) : null,
+    }))
+    .filter(e => e.statusStale || e.inactiveDays == null || e.inactiveDays >= inactivityDays)
+    .sort((a, b) => (b.inactiveDays ?? Infinity) - (a.inactiveDays ?? Infinity) || (b.timeInStatus || 0) - (a.timeInStatus || 0));
+
+  console.log(`  Stale work: ${stale.length}`);
+  // Only priority goes ahead of inactivity here; stale entries carry no due date
+  // and ordering them by status would bury the longest-quiet tasks
+  return sortTasks(stale, getConfig().sortOrder.filter(key => key === 'priority'));
+}
+
+// In-flight tasks in the task update lists and v1.5 feature lists that no team
+// member owns: either nobody is assigned, or only people outside the roster
+// are. Subtasks count only when their parent is not owned by the team either.
+function buildUnownedWork(allTasksByList) {
+  const { excludedLists, excludedStatuses, taskUpdateLists } = getConfig();
+  const updateLists = taskUpdateLists.map(name => name.toLowerCase());
+  const unowned = [];
+
+  for (const { list, tasks } of allTasksByList) {
+    const listName = list.name.toLowerCase();
+    if (excludedLists.includes(listName)) continue;
+    if (!isV15List(list) && !updateLists.includes(listName)) continue;
+
+    const taskMap = new Map();
+    for (const t of tasks) taskMap.set(t.id, t);
+
+    for (const task of tasks) {
+      const status = (task.status?.status || '').toLowerCase();
+      if (excludedStatuses.includes(status) || task.date_closed || task.date_done) continue;
+      if (matchedMembers(task).length > 0) continue;
+      const parent = task.parent ? taskMap.get(task.parent) : null;
+      if (parent && matchedMembers(parent).length > 0) continue;
+
+      const assignees = (task.assignees || []).map(a => a.username || `ClickUp user ${a.id}`);
+      unowned.push({
+        id: task.id,
+        name: task.name,
+        url: task.url || null,
+        priority: task.priority || null,
+        status: task.status?.status || 'Unknown',
+        listName: list.name,
+        feature: isV15List(list) ? stripV15Prefix(list.name) : null,
+        owner: assignees.length === 0 ? 'unassigned' : 'outside',
+        assignees,
+      });
+    }
+  }
+
+  const outside = unowned.filter(t => t.owner === 'outside').length;
+  console.log(`  Unowned work: ${unowned.length} (${unowned.length - outside} unassigned, ${outside} outside the team)`);
+  return sortTasks(unowned);
+}
+
+module.exports = {
+  buildCompletedTasks,
+  buildBlockedTasks,
+  buildTaskUpdates,
+  buildRecentlyCreatedTasks,
+  attachNotes,
+  buildFeatureUpdates,
+  buildEngineerSummaries,
+  staleWorkCandidates,
+  buildStaleWork,
+  buildUnownedWork,
+};
@@ -0,0 +1,351 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { createRateLimiter } = require('./rate-limiter');
+const { getCached, setCached } = require('./http-cache');
+
+const API_TOKEN = process.env.CLICKUP_API_TOKEN;
+const BASE_URL = 'https://api.clickup.com/api/v2';
+
+// ─── Fixture Record / Replay ─────────────────────────────────────────────────
+
+// In 'record' mode every API response is saved under the fixture directory; in
+// 'replay' mode responses are served from there instead of the network.
+let fixtureMode = null;
+let fixtureDir = null;
+
+function useFixtures(mode, dir) {
+  fixtureMode = mode;
+  fixtureDir = dir ? path.resolve(dir) : null;
+}
+
+function buildURL(endpoint, params = {}) {
+  const url = new URL(`${BASE_URL}${endpoint}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (Array.isArray(value)) {
+      value.forEach(v => url.searchParams.append(key, v));
+    } else {
+      url.searchParams.set(key, value);
+    }
+  }
+  return url;
+}
+
+function fixturePath(endpoint, params) {
+  const query = buildURL(endpoint, params).search;
+  const base = endpoint.replace(/^\//, '').replace(/[^a-z0-9]+/gi, '_');
+  // Query strings (e.g. 25 task ids) are too long for a filename, so key them by hash
+  const suffix = query ? '-' + crypto.createHash('sha1').update(query).digest('hex').slice(0, 10) : '';
+  return path.join(fixtureDir, `${base}${suffix}.json`);
+}
+
+function readFixture(endpoint, params) {
+  const file = fixturePath(endpoint, params);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No recorded fixture for ${endpoint} (${path.relative(process.cwd(), file)})`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+}
+
+function writeFixture(endpoint, params, response) {
+  fs.mkdirSync(fixtureDir, { recursive: true });
+  const fixture = { endpoint, params, response };
+  fs.writeFileSync(fixturePath(endpoint, params), JSON.stringify(fixture, null, 2));
+}
+
+function recordSnapshots(snapshotPaths) {
+  const dir = path.join(fixtureDir, 'snapshots');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of snapshotPaths) {
+    if (fs.existsSync(file)) fs.copyFileSync(file, path.join(dir, path.basename(file)));
+  }
+  fs.writeFileSync(path.join(fixtureDir, 'meta.json'), JSON.stringify({ recordedAt: new Date().toISOString() }, null, 2));
+}
+
+// Snapshot files as they were when the fixtures were recorded
+function fixtureSnapshotPath(filePath) {
+  return path.join(fixtureDir, 'snapshots', path.basename(filePath));
+}
+
+function fixtureRecordedAt() {
+  const metaPath = path.join(fixtureDir, 'meta.json');
+  if (!fs.existsSync(metaPath)) return null;
+  return Date.parse(JSON.parse(fs.readFileSync(metaPath, 'utf-8')).recordedAt);
+}
+
+// ─── Rate-limited API fetch ──────────────────────────────────────────────────
+
+// Callers may issue requests in parallel (Promise.all); the shared limiter
+// decides when each one actually goes out.
+
+// ClickUp allows 100 requests per minute per token on most plans. The limiter
+// starts from that and follows the X-RateLimit-* headers once responses arrive.
+const limiter = createRateLimiter({ limit: 100, windowMs: 60 * 1000, concurrency: 4 });
+
+// Every distinct request is made once per run; later callers share the result
+const requests = new Map();
+
+function fetchAPI(endpoint, params = {}) {
+  const key = buildURL(endpoint, params).toString();
+  if (!requests.has(key)) {
+    const request = loadAPI(endpoint, params).catch(err => {
+      requests.delete(key);
+      throw err;
+    });
+    requests.set(key, request);
+  }
+  return requests.get(key);
+}
+
+async function loadAPI(endpoint, params) {
+  if (fixtureMode === 'replay') return readFixture(endpoint, params);
+
+  const data = await fetchCached(endpoint, params);
+  if (fixtureMode === 'record') writeFixture(endpoint, params, data);
+  return data;
+}
+
+// Serves fresh entries from the on-disk cache. Expired entries that came with
+// an ETag or Last-Modified are revalidated with a conditional request.
+async function fetchCached(endpoint, params) {
+  const url = buildURL(endpoint, params).toString();
+  const cached = getCached(endpoint, url);
+  if (cached && cached.fresh) return cached.response;
+
+  const validators = {};
+  if (cached?.etag) validators['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) validators['If-Modified-Since'] = cached.lastModified;
+
+  const result = await fetchFromClickUp(endpoint, params, validators);
+  const data = result.notModified ? cached.response : result.data;
+  setCached(endpoint, url, data, {
+    etag: result.etag || cached?.etag,
+    lastModified: result.lastModified || cached?.lastModified,
+  });
+  return data;
+}
+
+const MAX_ATTEMPTS = 5;
+const REQUEST_TIMEOUT = 30 * 1000;
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 30 * 1000;
+
+// "Full jitter": a random wait up to the exponential cap, so parallel requests
+// that failed together do not all retry together
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt));
+}
+
+// 429s, 5xx responses, dropped connections and timeouts are retried. Once the
+// attempts run out the error is marked `transient`, unlike a 4xx that would
+// fail the same way again.
+async function fetchFromClickUp(endpoint, params, extraHeaders = {}) {
+  const url = buildURL(endpoint, params);
+  let lastError = null;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let res;
+    try {
+      // The body is read inside the slot so `concurrency` bounds whole requests
+      res = await limiter.schedule(async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+        try {
+          const res = await fetch(url.toString(), {
+            headers: { Authorization: API_TOKEN, ...extraHeaders },
+            signal: controller.signal,
+          });
+          limiter.update(res.headers);
+          return { status: res.status, ok: res.ok, headers: res.headers, body: await res.text() };
+        } finally {
+          clearTimeout(timer);
+        }
+      });
+    } catch (e) {
+      lastError = e.name === 'AbortError' ? `timed out after ${REQUEST_TIMEOUT / 1000}s` : e.cause?.message || e.message;
+    }
+
+    if (res?.status === 429) {
+      const retryAfter = parseInt(res.headers.get('retry-after') || '5', 10);
+      console.log(`  Rate limited, waiting ${retryAfter}s...`);
+      limiter.pauseUntil(Date.now() + retryAfter * 1000);
+      lastError = 'rate limited';
+      continue;
+    }
+
+    if (res && res.status < 500) {
+      const etag = res.headers.get('etag');
+      const lastModified = res.headers.get('last-modified');
+      if (res.status === 304) return { notModified: true, etag, lastModified };
+
+      if (!res.ok) {
+        throw new Error(`API error ${res.status} on ${endpoint}: ${res.body}`);
+      }
+
+      return { data: JSON.parse(res.body), etag, lastModified };
+    }
+
+    if (res) lastError = `API error ${res.status}`;
+    if (attempt + 1 < MAX_ATTEMPTS) {
+      const delay = backoffDelay(attempt);
+      console.log(`  ${endpoint}: ${lastError}, retrying in ${(delay / 1000).toFixed(1)}s...`);
+      await sleep(delay);
+    }
+  }
+
+  const err = new Error(`Failed after ${MAX_ATTEMPTS} attempts on ${endpoint}: ${lastError}`);
+  err.transient = true;
+  throw err;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Partial Data ────────────────────────────────────────────────────────────
+
+// Comments and time in status only add detail to the report, so those
+// endpoints failing for good never ends the run: the caller warns and carries
+// on, and the gap is recorded for the report's "data incomplete" banner. Only
+// the workspace, list and task endpoints are critical.
+const dataGaps = new Map();
+
+function resetDataGaps() {
+  dataGaps.clear();
+}
+
+// Errors that would fail the same way again (4xx) are not reported as gaps
+function recordDataGap(kind, err) {
+  if (!err.transient) return;
+  dataGaps.set(kind, (dataGaps.get(kind) || 0) + 1);
+}
+
+// e.g. ['Task comments (3 requests failed)']
+function describeDataGaps() {
+  return [...dataGaps].map(([kind, count]) => `${kind} (${count} request${count === 1 ? '' : 's'} failed)`);
+}
+
+// ─── ClickUp Discovery ──────────────────────────────────────────────────────
+
+async function discoverWorkspace() {
+  const { spaceName, folderName } = getConfig();
+  console.log('Discovering ClickUp workspace...');
+
+  const teamsData = await fetchAPI('/team');
+  const teams = teamsData.teams;
+  if (!teams || teams.length === 0) throw new Error('No workspaces found');
+  const teamId = teams[0].id;
+  console.log(`  Workspace: ${teams[0].name} (${teamId})`);
+
+  const spacesData = await fetchAPI(`/team/${teamId}/space`, { archived: 'false' });
+  const space = spacesData.spaces.find(s => s.name === spaceName);
+  if (!space) throw new Error(`Space "${spaceName}" not found`);
+  console.log(`  Space: ${space.name} (${space.id})`);
+
+  const foldersData = await fetchAPI(`/space/${space.id}/folder`, { archived: 'false' });
+  const folder = foldersData.folders.find(f => f.name === folderName);
+  if (!folder) throw new Error(`Folder "${folderName}" not found`);
+  console.log(`  Folder: ${folder.name} (${folder.id})`);
+
+  return { folderId: folder.id, members: teams[0].members || [] };
+}
+
+// ─── Fetch Lists and Tasks ──────────────────────────────────────────────────
+
+async function fetchAllLists(folderId) {
+  const listsData = await fetchAPI(`/folder/${folderId}/list`, { archived: 'false' });
+  return listsData.lists || [];
+}
+
+async function fetchListDetails(lists) {
+  const detailedLists = await Promise.all(lists.map(list => fetchAPI(`/list/${list.id}`)));
+  const detailedListMap = new Map();
+  for (const dl of detailedLists) detailedListMap.set(dl.id, dl);
+  return { detailedLists, detailedListMap };
+}
+
+async function fetchTasksForList(listId) {
+  const allTasks = [];
+  let page = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const data = await fetchAPI(`/list/${listId}/task`, {
+      subtasks: 'true',
+      include_closed: 'true',
+      page: String(page),
+    });
+    const tasks = data.tasks || [];
+    allTasks.push(...tasks);
+    hasMore = tasks.length >= 100;
+    page++;
+  }
+
+  return allTasks.filter(t => !t.archived);
+}
+
+// Lists are fetched in parallel; pages within a list stay sequential because
+// each page decides whether there is another.
+async function fetchAllTasks(lists) {
+  console.log('\nFetching tasks...');
+  const taskLists = await Promise.all(lists.map(list => fetchTasksForList(list.id)));
+
+  const allTasksByList = lists.map((list, i) => ({ list, tasks: taskLists[i] }));
+  for (const { list, tasks } of allTasksByList) {
+    console.log(`  ${list.name}: ${tasks.length} tasks`);
+  }
+  return allTasksByList;
+}
+
+async function fetchTaskComments(taskId) {
+  try {
+    const data = await fetchAPI(`/task/${taskId}/comment`);
+    return data.comments || [];
+  } catch (e) {
+    recordDataGap('Task comments', e);
+    console.log(`  Warning: Could not fetch comments for task ${taskId}: ${e.message}`);
+    return [];
+  }
+}
+
+// Comments for many tasks in one concurrent batch, keyed by task id
+async function fetchCommentsForTasks(taskIds) {
+  const comments = await Promise.all(taskIds.map(fetchTaskComments));
+  return new Map(taskIds.map((id, i) => [id, comments[i]]));
+}
+
+async function fetchBulkTimeInStatus(taskIds) {
+  if (taskIds.length === 0) return {};
+  // Batch in groups of 25 to avoid URL length issues
+  const batches = [];
+  for (let i = 0; i < taskIds.length; i += 25) batches.push(taskIds.slice(i, i + 25));
+  try {
+    const results = await Promise.all(batches.map(batch =>
+      fetchAPI('/task/bulk_time_in_status/task_ids', { task_ids: batch })
+    ));
+    return Object.assign({}, ...results);
+  } catch (e) {
+    recordDataGap('Time in status', e);
+    console.log(`  Warning: Time in Status not available (${e.message}). Skipping.`);
+    return {};
+  }
+}
+
+module.exports = {
+  API_TOKEN,
+  useFixtures,
+  recordSnapshots,
+  fixtureSnapshotPath,
+  fixtureRecordedAt,
+  fetchAPI,
+  resetDataGaps,
+  describeDataGaps,
+  discoverWorkspace,
+  fetchAllLists,
+  fetchListDetails,
+  fetchAllTasks,
+  fetchTaskComments,
+  fetchCommentsForTasks,
+  fetchBulkTimeInStatus,
+};
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'report-config.json');
+
+// Keys accepted in the config file. Entries with a default are optional.
+const CONFIG_SCHEMA = {
+  spaceName: { type: 'string' },
+  folderName: { type: 'string' },
+  timezone: { type: 'timezone', default: 'America/Los_Angeles' },
+  // Names, or { id, name, handle? } with the ClickUp user id. Names are looked
+  // up among the workspace members at the start of each run.
+  teamMembers: { type: 'teamMembers' },
+  excludedLists: { type: 'string[]', default: ['graveyard'] },
+  taskUpdateLists: { type: 'string[]', default: ['Priority', 'QA/Usability', 'Fast-follow'] },
+  recentlyCreatedLists: { type: 'string[]', default: ['Priority', 'QA/Usability', 'Fast-follow'] },
+  excludedStatuses: { type: 'string[]', default: ['to do', 'paused', 'complete', 'closed'] },
+  staleThresholdsDays: { type: 'thresholds', default: {} },
+  defaultStaleDays: { type: 'days', default: 5 },
+  // Open tasks with no update or comment for this long are listed as stale
+  inactivityDays: { type: 'days', default: 5 },
+  // Rolling window for cycle and lead time metrics
+  metricsWindowDays: { type: 'days', default: 30 },
+  // Normal order of statuses; moving to an earlier one counts as a regression
+  workflowStatuses: {
+    type: 'string[]',
+    default: ['to do', 'in progress', 'in review', 'in qa', 'ready for deployment', 'complete', 'closed'],
+  },
+  // Statuses where work is underway; only tasks in these are checked for stale work
+  activeStatuses: { type: 'string[]', default: ['in progress', 'in review', 'in qa'] },
+  // --period sprint: any sprint's first day (YYYY-MM-DD) and the sprint length
+  sprintStartDate: { type: 'date', default: null },
+  sprintLengthDays: { type: 'days', default: 14 },
+  // How tasks within each section are ordered; [] keeps the order ClickUp returns
+  sortOrder: { type: 'sortKeys', default: ['priority', 'dueDate', 'status'] },
+  // { from, to, cc?, bcc?, subject? } — recipients for --email
+  email: { type: 'email', default: null },
+};
+
+const SORT_KEYS = ['priority', 'dueDate', 'status'];
+const TEAM_MEMBER_KEYS = ['id', 'name', 'handle'];
+
+const EMAIL_ADDRESS = /^([^<>@]*<)?[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+>?$/;
+const EMAIL_KEYS = ['from', 'to', 'cc', 'bcc', 'subject'];
+
+function validateEmailConfig(value) {
+  if (value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object with from, to, cc, bcc and subject';
+  const problems = [];
+  for (const key of Object.keys(value)) {
+    if (!EMAIL_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  if (typeof value.from !== 'string' || !EMAIL_ADDRESS.test(value.from.trim())) problems.push('"from" must be an email address');
+  for (const key of ['to', 'cc', 'bcc']) {
+    const list = value[key];
+    if (list === undefined && key !== 'to') continue;
+    if (!Array.isArray(list) || (key === 'to' && list.length === 0)) {
+      problems.push(`"${key}" must be ${key === 'to' ? 'a non-empty' : 'an'} array of email addresses`);
+      continue;
+    }
+    const bad = list.filter(a => typeof a !== 'string' || !EMAIL_ADDRESS.test(a.trim()));
+    if (bad.length > 0) problems.push(`"${key}" has invalid addresses: ${bad.map(a => JSON.stringify(a)).join(', ')}`);
+  }
+  if (value.subject !== undefined && (typeof value.subject !== 'string' || !value.subject.trim())) {
+    problems.push('"subject" must be a non-empty string');
+  }
+  return problems.length === 0 ? null : `is invalid: ${problems.join('; ')}`;
+}
+
+function validateTeamMembers(value) {
+  if (!Array.isArray(value)) return 'must be an array of names or { id, name, handle } objects';
+  const problems = [];
+  value.forEach((member, i) => {
+    const label = `entry ${i + 1}`;
+    if (typeof member === 'string') {
+      if (!member.trim()) problems.push(`${label} is an empty name`);
+      return;
+    }
+    if (!member || typeof member !== 'object' || Array.isArray(member)) {
+      problems.push(`${label} must be a name or an object with id and name`);
+      return;
+    }
+    for (const key of Object.keys(member)) {
+      if (!TEAM_MEMBER_KEYS.includes(key)) problems.push(`${label} has unknown key "${key}"`);
+    }
+    if (!/^\d+$/.test(String(member.id ?? ''))) problems.push(`${label} needs a numeric ClickUp user "id"`);
+    if (typeof member.name !== 'string' || !member.name.trim()) problems.push(`${label} needs a "name"`);
+    if (member.handle !== undefined && (typeof member.handle !== 'string' || !/^\S+$/.test(member.handle))) {
+      problems.push(`${label} "handle" must be a non-empty string without spaces`);
+    }
+  });
+  if (problems.length > 0) return `is invalid: ${problems.join('; ')}`;
+
+  const repeated = (values, what) => {
+    const seen = new Set();
+    const dupes = new Set(values.filter(v => seen.has(v) || !seen.add(v)));
+    return dupes.size > 0 ? `${what} ${[...dupes].map(v => JSON.stringify(v)).join(', ')}` : null;
+  };
+  const dupes = [
+    repeated(value.filter(m => typeof m === 'object').map(m => String(m.id)), 'repeats id'),
+    repeated(value.map(m => (typeof m === 'string' ? m : m.name).trim().toLowerCase()), 'repeats name'),
+    repeated(value.filter(m => m.handle).map(m => m.handle), 'repeats handle'),
+  ].filter(Boolean);
+  return dupes.length === 0 ? null : `${dupes.join('; ')}`;
+}
+
+// Short handles shown next to tasks. Unless set in the config a handle is the
+// member's initials, extended with the next letter of their last name (then a
+// number) where initials are shared.
+function assignHandles(members) {
+  const initialsOf = name => name.split(/\s+/).map(w => w[0].toUpperCase()).join('');
+  const taken = new Set(members.filter(m => m.handle).map(m => m.handle));
+  const shared = new Map();
+  for (const member of members) {
+    if (member.handle) continue;
+    const initials = initialsOf(member.name);
+    shared.set(initials, (shared.get(initials) || 0) + 1);
+  }
+
+  return members.map(member => {
+    if (member.handle) return member;
+    const initials = initialsOf(member.name);
+    let handle = initials;
+    if (shared.get(initials) > 1 || taken.has(handle)) {
+      const lastName = member.name.split(/\s+/).pop();
+      handle = initials + lastName.slice(1, 2).toLowerCase();
+      for (let n = 2; taken.has(handle); n++) handle = `${initials}${n}`;
+    }
+    taken.add(handle);
+    return { ...member, handle };
+  });
+}
+
+function validateConfigValue(key, type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim())
+        ? null
+        : 'must be an array of non-empty strings';
+    case 'days':
+      return typeof value === 'number' && value > 0 ? null : 'must be a positive number of days';
+    case 'thresholds': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of status -> days';
+      const bad = Object.entries(value).filter(([, days]) => typeof days !== 'number' || days <= 0);
+      return bad.length === 0 ? null : `has non-positive or non-numeric days for: ${bad.map(([s]) => `"${s}"`).join(', ')}`;
+    }
+    case 'timezone':
+      if (typeof value !== 'string') return 'must be an IANA timezone name';
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return null;
+      } catch {
+        return `must be a valid IANA timezone (got "${value}")`;
+      }
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+        ? null
+        : 'must be a date as YYYY-MM-DD';
+    case 'teamMembers':
+      return validateTeamMembers(value);
+    case 'sortKeys': {
+      if (!Array.isArray(value)) return `must be an array of sort keys (${SORT_KEYS.join(', ')})`;
+      const bad = value.filter(k => !SORT_KEYS.includes(k));
+      if (bad.length > 0) return `has unknown sort keys: ${bad.map(k => JSON.stringify(k)).join(', ')} (expected ${SORT_KEYS.join(', ')})`;
+      return new Set(value).size === value.length ? null : 'lists a sort key more than once';
+    }
+    case 'email':
+      return validateEmailConfig(value);
+    default:
+      throw new Error(`Unknown config type "${type}" for ${key}`);
+  }
+}
+
+function validateConfig(raw, source) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config in ${source}: expected a JSON object`);
+  }
+
+  const errors = [];
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`unknown key "${key}"`);
+  }
+
+  const config = {};
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (raw[key] === undefined) {
+      if (rule.default === undefined) errors.push(`missing required key "${key}"`);
+      else config[key] = rule.default;
+      continue;
+    }
+    const problem = validateConfigValue(key, rule.type, raw[key]);
+    if (problem) errors.push(`"${key}" ${problem}`);
+    else config[key] = raw[key];
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Status and list names are compared case-insensitively throughout
+  config.excludedLists = config.excludedLists.map(name => name.toLowerCase());
+  config.excludedStatuses = config.excludedStatuses.map(status => status.toLowerCase());
+  config.workflowStatuses = config.workflowStatuses.map(status => status.toLowerCase());
+  config.activeStatuses = config.activeStatuses.map(status => status.toLowerCase());
+  config.teamMembers = assignHandles(config.teamMembers.map(member => (typeof member === 'string'
+    ? { id: null, name: member.trim(), handle: null }
+    : { id: String(member.id), name: member.name.trim(), handle: member.handle || null })));
+  config.staleThresholdsDays = Object.fromEntries(
+    Object.entries(config.staleThresholdsDays).map(([status, days]) => [status.toLowerCase(), days])
+  );
+  return config;
+}
+
+function loadConfig(configPath) {
+  let text;
+  try {
+    text = fs.readFileSync(configPath, 'utf-8');
+  } catch (e) {
+    throw new Error(`Could not read config file ${configPath}: ${e.message}`);
+  }
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Config file ${configPath} is not valid JSON: ${e.message}`);
+  }
+  return validateConfig(raw, configPath);
+}
+
+// Shared by every module. main() installs it once; tests install their own.
+let activeConfig = null;
+
+function useConfig(config) {
+  activeConfig = config;
+}
+
+function getConfig() {
+  if (!activeConfig) throw new Error('Report config has not been loaded');
+  return activeConfig;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  CONFIG_SCHEMA,
+  validateConfig,
+  loadConfig,
+  useConfig,
+  getConfig,
+};
@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+const { formatReportDate } = require('./helpers');
+const { generateHTML } = require('./render-html');
+const { generateText } = require('./render-text');
+
+// SMTP settings come from the environment (../Daily Engineer Report/.env) so
+// credentials never land in the committed config file.
+function smtpOptionsFromEnv(env = process.env) {
+  if (!env.SMTP_HOST) throw new Error('SMTP_HOST not set. Check ../Daily Engineer Report/.env');
+  const port = parseInt(env.SMTP_PORT || '587', 10);
+  if (isNaN(port)) throw new Error(`SMTP_PORT must be a number (got "${env.SMTP_PORT}")`);
+  const options = {
+    host: env.SMTP_HOST,
+    port,
+    // Port 465 is implicit TLS; other ports upgrade with STARTTLS
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+  };
+  if (env.SMTP_USER) options.auth = { user: env.SMTP_USER, pass: env.SMTP_PASS || '' };
+  return options;
+}
+
+function buildEmailMessage(report, emailConfig) {
+  const message = {
+    from: emailConfig.from,
+    to: emailConfig.to,
+    subject: `${emailConfig.subject || 'Daily Activity Report'} — ${formatReportDate(report.generatedAt)}`,
+    text: generateText(report, 'text'),
+    html: generateHTML(report, { interactive: false }),
+  };
+  if (emailConfig.cc && emailConfig.cc.length > 0) message.cc = emailConfig.cc;
+  if (emailConfig.bcc && emailConfig.bcc.length > 0) message.bcc = emailConfig.bcc;
+  return message;
+}
+
+async function sendEmail(message, transportOptions = smtpOptionsFromEnv()) {
+  const transporter = nodemailer.createTransport(transportOptions);
+  try {
+    return await transporter.sendMail(message);
+  } finally {
+    transporter.close();
+  }
+}
+
+module.exports = {
+  smtpOptionsFromEnv,
+  buildEmailMessage,
+  sendEmail,
+};
@@ -0,0 +1,107 @@
+const { formatReportDate } = require('./helpers');
+const { buildTextSections, dataGapBanner, summaryPeriodLabel, buildSummarySections } = require('./render-text');
+
+// Sections posted to Slack, in order. The full report stays on the Pages site.
+const SLACK_SECTIONS = ['blocked', 'completed', 'taskUpdates', 'features'];
+
+// Block Kit limits: 3000 characters per section text, 50 blocks per message
+const MAX_SECTION_TEXT = 3000;
+const MAX_BLOCKS = 50;
+
+function mrkdwnSection(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+// Packs whole items into as few section blocks as fit under the text limit
+function chunkItems(items) {
+  const chunks = [];
+  let current = '';
+  for (const itemLines of items) {
+    const text = itemLines.join('\n').slice(0, MAX_SECTION_TEXT);
+    if (current && current.length + 1 + text.length > MAX_SECTION_TEXT) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${text}` : text;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function buildSlackPayload(report) {
+  const reportDate = formatReportDate(report.generatedAt);
+  const sections = buildTextSections(report, 'slack');
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: 'Daily Activity Report' } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: reportDate }] },
+  ];
+  const banner = dataGapBanner(report, 'slack');
+  if (banner) blocks.push(mrkdwnSection(`:warning: ${banner}`));
+
+  for (const key of SLACK_SECTIONS) {
+    const section = sections.find(s => s.key === key);
+    blocks.push({ type: 'divider' });
+    blocks.push(mrkdwnSection(`*${section.title}* (${section.items.length})`));
+    if (section.items.length === 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: section.emptyText }] });
+      continue;
+    }
+    for (const chunk of chunkItems(section.items)) blocks.push(mrkdwnSection(chunk));
+  }
+
+  if (blocks.length > MAX_BLOCKS) {
+    blocks.splice(MAX_BLOCKS - 1);
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_Report truncated — see the full report for the rest._' }] });
+  }
+
+  const counts = SLACK_SECTIONS.map(key => sections.find(s => s.key === key))
+    .map(s => `${s.items.length} ${s.title.toLowerCase()}`)
+    .join(', ');
+  return { text: `Daily Activity Report — ${reportDate}: ${counts}`, blocks };
+}
+
+// Every section of a --period summary, which is short enough to post whole
+function buildSummarySlackPayload(summary) {
+  const period = summaryPeriodLabel(summary);
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: summary.title } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: period }] },
+  ];
+
+  for (const section of buildSummarySections(summary, 'slack')) {
+    blocks.push({ type: 'divider' });
+    const count = section.key === 'counts' ? '' : ` (${section.items.length})`;
+    blocks.push(mrkdwnSection(`*${section.title}*${count}`));
+    if (section.items.length === 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: section.emptyText }] });
+      continue;
+    }
+    for (const chunk of chunkItems(section.items)) blocks.push(mrkdwnSection(chunk));
+  }
+
+  if (blocks.length > MAX_BLOCKS) {
+    blocks.splice(MAX_BLOCKS - 1);
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_Summary truncated — see the full summary for the rest._' }] });
+  }
+
+  const text = `${summary.title} — ${period}: ${summary.completed.length} completed, ${summary.created.length} created`;
+  return { text, blocks };
+}
+
+async function postToSlack(webhookUrl, payload) {
+  const res = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Slack webhook returned ${res.status}: ${body}`);
+  }
+}
+
+module.exports = {
+  buildSlackPayload,
+  buildSummarySlackPayload,
+  postToSlack,
+};
@@ -0,0 +1,103 @@
+const { getConfig } = require('./config');
+const { isV15List, formatDate, workingDaysBetween } = require('./helpers');
+const { isDone } = require('./progress');
+
+// ─── Estimates vs Actuals ────────────────────────────────────────────────────
+
+// Compares each v1.5 feature's sizing with the working days it has taken:
+// from the list's start date (or its earliest task start) to the last task
+// closed for finished features, or to the report day for those in flight.
+// A ratio above 1 means the feature took longer than sized. The trend compares
+// the older and newer half of finished features, to show whether sizing is
+// getting closer to what features actually take.
+
+// How much closer to (or further from) 1 the newer half's median ratio must be
+// to count as a change in trend
+const TREND_MARGIN = 0.1;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round2(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+function ratio(elapsed, estimate) {
+  return estimate ? round2(elapsed / estimate) : null;
+}
+
+function featureStart(detailed, tasks) {
+  const listStart = parseInt(detailed?.start_date);
+  if (!isNaN(listStart)) return listStart;
+  const taskStarts = tasks.map(t => parseInt(t.start_date)).filter(t => !isNaN(t));
+  return taskStarts.length > 0 ? Math.min(...taskStarts) : null;
+}
+
+// Time the last task was closed, or null while any task is still open
+function featureCompletion(tasks) {
+  if (tasks.length === 0 || !tasks.every(isDone)) return null;
+  const doneTimes = tasks.map(t => parseInt(t.date_closed || t.date_done)).filter(t => !isNaN(t));
+  return doneTimes.length > 0 ? Math.max(...doneTimes) : null;
+}
+
+// Older half against newer half of finished features, in completion order
+function buildTrend(completed) {
+  const ratios = completed.map(entry => entry.ratio);
+  const trend = { completed: ratios.length, medianRatio: round2(median(ratios)), earlierMedian: null, laterMedian: null, direction: null };
+  if (ratios.length < 4) return trend;
+
+  const half = Math.floor(ratios.length / 2);
+  trend.earlierMedian = round2(median(ratios.slice(0, half)));
+  trend.laterMedian = round2(median(ratios.slice(ratios.length - half)));
+  const change = Math.abs(trend.earlierMedian - 1) - Math.abs(trend.laterMedian - 1);
+  trend.direction = change > TREND_MARGIN ? 'improving' : change < -TREND_MARGIN ? 'worsening' : 'steady';
+  return trend;
+}
+
+function buildEstimates(allTasksByList, detailedListMap, featureUpdates, now) {
+  const { excludedLists } = getConfig();
+  const entries = [];
+  let skipped = 0;
+
+  for (const { list, tasks } of allTasksByList) {
+    if (!isV15List(list) || excludedLists.includes(list.name.toLowerCase())) continue;
+    const feature = featureUpdates.find(f => f.id === list.id);
+    const estimate = feature?.sizingAfterPlanningDays ?? feature?.originalSizingDays;
+    const start = featureStart(detailedListMap.get(list.id), tasks);
+    if (!feature || !estimate || start == null || start > now) {
+      skipped++;
+      continue;
+    }
+
+    const completedAt = featureCompletion(tasks);
+    const elapsedDays = workingDaysBetween(start, completedAt ?? now);
+    entries.push({
+      id: list.id,
+      name: feature.name,
+      state: completedAt != null ? 'completed' : 'in progress',
+      startDate: formatDate(start),
+      completedDate: completedAt != null ? formatDate(completedAt) : null,
+      completedAt,
+      elapsedDays,
+      originalSizingDays: feature.originalSizingDays,
+      sizingAfterPlanningDays: feature.sizingAfterPlanningDays,
+      ratio: ratio(elapsedDays, estimate),
+      originalRatio: ratio(elapsedDays, feature.originalSizingDays),
+    });
+  }
+
+  const completed = entries.filter(e => e.state === 'completed').sort((a, b) => a.completedAt - b.completedAt);
+  const inFlight = entries.filter(e => e.state !== 'completed').sort((a, b) => b.ratio - a.ratio || a.name.localeCompare(b.name));
+  const features = [...inFlight, ...[...completed].reverse()].map(({ completedAt, ...entry }) => entry);
+
+  console.log(`  Estimates vs actuals: ${features.length} features${skipped > 0 ? ` (${skipped} without a start date or sizing)` : ''}`);
+  return { features, trend: buildTrend(completed) };
+}
+
+module.exports = {
+  buildEstimates,
+};
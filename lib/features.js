@@ -0,0 +1,163 @@
+const { isV15List, stripV15Prefix, extractContentLine } = require('./helpers');
+
+// ─── Feature Descriptions ────────────────────────────────────────────────────
+
+// A v1.5 feature list's description starts with a front-matter block:
+//
+//   ---
+//   Status: In Development
+//   Original Sizing: 10 days
+//   Sizing After Technical Planning: 3 weeks
+//   Daily Report Note: Waiting on the search API
+//   ---
+//
+// Anything after the closing line is free text. Descriptions written before the
+// block existed are still read line by line, but are reported by the lint.
+
+const FEATURE_FIELDS = {
+  status: { label: 'Status', type: 'text', required: true },
+  originalSizing: { label: 'Original Sizing', aliases: ['Initial Sizing'], type: 'sizing', required: true },
+  sizingAfterPlanning: { label: 'Sizing After Technical Planning', type: 'sizing', required: false },
+  dailyReportNote: { label: 'Daily Report Note', type: 'text', required: false },
+};
+
+// Sizes are in working days; a week is five of them
+const SIZING_UNITS = { d: 1, day: 1, days: 1, w: 5, wk: 5, wks: 5, week: 5, weeks: 5 };
+
+// '10 days', '2 weeks', '1.5w' or a bare number of days. 'TBD' is a valid
+// answer (not sized yet) and parses to null.
+function parseSizing(text) {
+  if (/^tbd$/i.test(text)) return { days: null };
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const unit = match && (match[2] ? SIZING_UNITS[match[2].toLowerCase()] : 1);
+  if (!unit) return { error: `"${text}" is not a size; use e.g. "10 days" or "2 weeks"` };
+  return { days: parseFloat(match[1]) * unit };
+}
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+function fieldForLabel(label) {
+  const lower = label.toLowerCase();
+  return Object.keys(FEATURE_FIELDS).find(key =>
+    [FEATURE_FIELDS[key].label, ...(FEATURE_FIELDS[key].aliases || [])].some(l => l.toLowerCase() === lower)
+  );
+}
+
+// The field label a misspelled one was most likely meant to be
+function closestLabel(label) {
+  const labels = Object.values(FEATURE_FIELDS).map(field => field.label);
+  const scored = labels.map(l => ({ label: l, distance: editDistance(label.toLowerCase(), l.toLowerCase()) }));
+  const best = scored.sort((a, b) => a.distance - b.distance)[0];
+  return best.distance <= Math.max(2, Math.floor(best.label.length / 4)) ? best.label : null;
+}
+
+// Raw "Label: value" pairs from the front-matter block, or null when the
+// description has none
+function readFrontMatter(content, problems) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const start = lines.findIndex(line => line.trim() !== '');
+  if (start === -1 || lines[start].trim() !== '---') return null;
+  const end = lines.findIndex((line, i) => i > start && line.trim() === '---');
+  if (end === -1) {
+    problems.push('the front-matter block has no closing "---" line');
+    return null;
+  }
+
+  const raw = {};
+  for (let i = start + 1; i < end; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const match = line.match(/^([^:]+):(.*)$/);
+    if (!match) {
+      problems.push(`line "${line}" is not "Label: value"`);
+      continue;
+    }
+    const label = match[1].trim();
+    const key = fieldForLabel(label);
+    if (!key) {
+      const suggestion = closestLabel(label);
+      problems.push(`unknown field "${label}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      continue;
+    }
+    if (key in raw) {
+      problems.push(`"${FEATURE_FIELDS[key].label}" is given more than once`);
+      continue;
+    }
+    raw[key] = match[2].trim();
+  }
+  return raw;
+}
+
+function readLegacyLines(content) {
+  const raw = {};
+  for (const [key, field] of Object.entries(FEATURE_FIELDS)) {
+    for (const label of [field.label, ...(field.aliases || [])]) {
+      const value = extractContentLine(content, label);
+      if (value) {
+        raw[key] = value;
+        break;
+      }
+    }
+  }
+  return raw;
+}
+
+// Returns each field as text (null when missing), the sizes in working days
+// and the problems found, one short sentence each.
+function parseFeatureDescription(content) {
+  const problems = [];
+  let raw = content ? readFrontMatter(content, problems) : null;
+  if (!content || !content.trim()) {
+    problems.push('the list has no description');
+  } else if (!raw) {
+    if (problems.length === 0) problems.push('the description does not start with a "---" front-matter block');
+    raw = readLegacyLines(content);
+  }
+  raw = raw || {};
+
+  const description = { originalSizingDays: null, sizingAfterPlanningDays: null, problems };
+  for (const [key, field] of Object.entries(FEATURE_FIELDS)) {
+    const value = raw[key] || null;
+    description[key] = value;
+    if (!value) {
+      if (field.required && content && content.trim()) problems.push(`"${field.label}" is missing`);
+      continue;
+    }
+    if (field.type === 'sizing') {
+      const sizing = parseSizing(value);
+      if (sizing.error) problems.push(`"${field.label}": ${sizing.error}`);
+      else description[`${key}Days`] = sizing.days;
+    }
+  }
+  return description;
+}
+
+// Features whose list description is missing or malformed
+function lintFeatureDescriptions(detailedLists) {
+  return detailedLists
+    .filter(list => isV15List(list))
+    .map(list => ({ id: list.id, name: stripV15Prefix(list.name), problems: parseFeatureDescription(list.content).problems }))
+    .filter(entry => entry.problems.length > 0);
+}
+
+function describeFeatureLint({ name, problems }) {
+  return `Feature "${name}" description: ${problems.join('; ')}`;
+}
+
+module.exports = {
+  FEATURE_FIELDS,
+  parseSizing,
+  parseFeatureDescription,
+  lintFeatureDescriptions,
+  describeFeatureLint,
+};
@@ -0,0 +1,291 @@
+const { getConfig } = require('./config');
+
+function isV15List(list) {
+  return (list.name || '').toLowerCase().startsWith('v1.5');
+}
+
+function formatDate(timestamp) {
+  if (!timestamp) return 'TBD';
+  const d = new Date(parseInt(timestamp));
+  if (isNaN(d.getTime())) return 'TBD';
+  return d.toLocaleDateString('en-US', { timeZone: getConfig().timezone, month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatReportDate(now) {
+  return new Date(now).toLocaleDateString('en-US', {
+    timeZone: getConfig().timezone,
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+function getWorkdayCutoff(now, defaultHours = 24) {
+  const dayOfWeek = new Date(now).toLocaleDateString('en-US', { timeZone: getConfig().timezone, weekday: 'long' });
+  const hoursBack = dayOfWeek === 'Monday' ? 72 : defaultHours;
+  return now - hoursBack * 60 * 60 * 1000;
+}
+
+function getActivityWindowLabel(now) {
+  const dayOfWeek = new Date(now).toLocaleDateString('en-US', { timeZone: getConfig().timezone, weekday: 'long' });
+  return dayOfWeek === 'Monday' ? 'since Friday' : 'in the last 24 hours';
+}
+
+// Reference time for the whole run: --as-of if given, else the fallback (the
+// current time, or the recording time when replaying fixtures). A bare date
+// (YYYY-MM-DD) means the end of that day in the configured timezone.
+function resolveReportTime(asOf, fallback = Date.now()) {
+  if (!asOf) return fallback;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    const endOfDayUTC = Date.parse(`${asOf}T23:59:59.999Z`);
+    if (!isNaN(endOfDayUTC)) return endOfDayUTC - timezoneOffsetMs(endOfDayUTC);
+  }
+  const ms = Date.parse(asOf);
+  if (isNaN(ms)) throw new Error(`Invalid --as-of value "${asOf}". Use YYYY-MM-DD or an ISO 8601 timestamp`);
+  return ms;
+}
+
+// Midnight at the start of a YYYY-MM-DD day in the configured timezone
+function startOfDay(date) {
+  const midnightUTC = Date.parse(`${date}T00:00:00.000Z`);
+  return midnightUTC - timezoneOffsetMs(midnightUTC);
+}
+
+// Weekdays from the day of `start` through the day of `end`, both counted, in
+// the configured timezone. Holidays are not known and count as working days.
+function workingDaysBetween(start, end) {
+  const localDate = ms => new Date(ms).toLocaleDateString('en-CA', { timeZone: getConfig().timezone });
+  const first = Date.parse(`${localDate(start)}T00:00:00Z`);
+  const last = Date.parse(`${localDate(end)}T00:00:00Z`);
+  let days = 0;
+  for (let day = first; day <= last; day += 24 * 60 * 60 * 1000) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days++;
+  }
+  return days;
+}
+
+function timezoneOffsetMs(timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getConfig().timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(timestamp));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const wallClockAsUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClockAsUTC - Math.floor(timestamp / 1000) * 1000;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function stripV15Prefix(name) {
+  return name.replace(/^v1\.5\s*/i, '').trim();
+}
+
+function extractContentLine(content, label) {
+  if (!content) return '';
+  const regex = new RegExp(`^${label}:[ \\t]*(.+)$`, 'im');
+  const match = content.match(regex);
+  return match ? match[1].trim() : '';
+}
+
+function extractCommentText(commentArray) {
+  if (!commentArray || !Array.isArray(commentArray)) return null;
+  return commentArray
+    .filter(part => part.text)
+    .map(part => part.text)
+    .join('')
+    .trim() || null;
+}
+
+const BOILERPLATE_PATTERNS = [
+  /^NOTE:\s*\n*\s*If you get blocked/i,
+  /^Template:/i,
+];
+
+function getMostRecentMeaningfulComment(comments) {
+  for (const comment of comments) {
+    const text = comment.comment_text || extractCommentText(comment.comment);
+    if (text && !BOILERPLATE_PATTERNS.some(p => p.test(text.trim()))) {
+      return text.replace(/\s*\n\s*/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+  }
+  return null;
+}
+
+function truncate(str, maxLen) {
+  if (!str || str.length <= maxLen) return str;
+  return str.slice(0, maxLen) + '...';
+}
+
+// Members with a ClickUp user id match by id; names that could not be resolved
+// to one fall back to an exact, case-insensitive username match.
+function isTeamMember(member, assignee) {
+  if (member.id) return String(assignee.id) === member.id;
+  return (assignee.username || '').toLowerCase() === member.name.toLowerCase();
+}
+
+function teamMembersOf(task) {
+  const assignees = task.assignees || [];
+  return getConfig().teamMembers.filter(member => assignees.some(a => isTeamMember(member, a)));
+}
+
+function matchedMembers(task) {
+  return teamMembersOf(task).map(member => member.name);
+}
+
+function isOverdue(dueDateStr, status, now) {
+  if (!dueDateStr || dueDateStr === 'TBD') return false;
+  const statusLower = (status || '').toLowerCase();
+  if (statusLower === 'complete' || statusLower === 'closed' || statusLower === 'ready for deployment') return false;
+  const due = new Date(dueDateStr);
+  if (isNaN(due.getTime())) return false;
+  // Both dates are parsed from the same 'Mar 4, 2026' form, so "today" is the
+  // report day in the configured timezone rather than on the machine's clock
+  const today = new Date(formatDate(now));
+  return due < today;
+}
+
+function formatDuration(ms) {
+  if (!ms || ms <= 0) return null;
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const days = Math.floor(hours / 24);
+  if (days > 0) return `${days}d`;
+  if (hours > 0) return `${hours}h`;
+  return '<1h';
+}
+
+// Flow metrics need more precision than formatDuration, e.g. "2.5d"
+function formatDays(ms) {
+  if (ms == null) return null;
+  return `${(ms / (1000 * 60 * 60 * 24)).toFixed(1)}d`;
+}
+
+// One line for a feature's progress, e.g. "60% of tasks done (6/10) | 1 of 3
+// milestones done"; empty when the feature has neither
+function formatProgress({ tasks, milestones }) {
+  const parts = [];
+  if (tasks.total > 0) parts.push(`${tasks.percent}% of tasks done (${tasks.done}/${tasks.total})`);
+  if (milestones.total > 0) parts.push(`${milestones.done} of ${milestones.total} milestones done`);
+  return parts.join(' | ');
+}
+
+// One line comparing a feature's working days with its sizing, e.g. "Completed
+// Feb 20, 2026 | 15 working days vs 10 sized (1.5x) | Original: 8 days (1.88x)"
+function formatEstimate(entry) {
+  const sized = entry.sizingAfterPlanningDays ?? entry.originalSizingDays;
+  const parts = entry.state === 'completed'
+    ? [`Completed ${entry.completedDate}`, `${entry.elapsedDays} working days vs ${sized} sized (${entry.ratio}x)`]
+    : ['In progress', `${entry.elapsedDays} working days so far vs ${sized} sized (${entry.ratio}x)`];
+  if (entry.sizingAfterPlanningDays != null && entry.originalSizingDays != null) {
+    parts.push(`Original: ${entry.originalSizingDays} days (${entry.originalRatio}x)`);
+  }
+  return parts.join(' | ');
+}
+
+// e.g. "4 finished features took 1.4x their sizing (median) | improving: 1.8x → 1.1x";
+// null before any feature has finished
+function formatEstimateTrend(trend, arrow = '→') {
+  if (trend.completed === 0) return null;
+  const features = `${trend.completed} finished feature${trend.completed === 1 ? '' : 's'}`;
+  const line = `${features} took ${trend.medianRatio}x their sizing (median)`;
+  if (!trend.direction) return line;
+  return `${line} | ${trend.direction}: ${trend.earlierMedian}x ${arrow} ${trend.laterMedian}x`;
+}
+
+// One line for a summarizeStatusHistory() result, or null when the task has
+// not changed status, e.g. "3 status changes | regressed in qa → in progress | in progress 4d, in qa 1d"
+function formatStatusHistory(summary, arrow = '→') {
+  if (!summary || summary.transitions === 0) return null;
+  const parts = [`${summary.transitions} status change${summary.transitions === 1 ? '' : 's'}`];
+  if (summary.regressions.length > 0) {
+    parts.push(`regressed ${summary.regressions.map(r => `${r.from} ${arrow} ${r.to}`).join(', ')}`);
+  }
+  const times = Object.entries(summary.timeInStatus)
+    .filter(([, ms]) => formatDuration(ms))
+    .map(([status, ms]) => `${status} ${formatDuration(ms)}`);
+  if (times.length > 0) parts.push(times.join(', '));
+  return parts.join(' | ');
+}
+
+function isStale(status, durationMs) {
+  const statusLower = (status || '').toLowerCase();
+  const { staleThresholdsDays, defaultStaleDays } = getConfig();
+  const threshold = staleThresholdsDays[statusLower] || defaultStaleDays;
+  const days = durationMs / (1000 * 60 * 60 * 24);
+  return days >= threshold;
+}
+
+// Handles of the task's team members, shown as their initials
+function memberInitials(task) {
+  return teamMembersOf(task).map(member => member.handle);
+}
+
+// ─── Sorting ─────────────────────────────────────────────────────────────────
+
+// ClickUp's priority levels, most urgent first
+const PRIORITY_LEVELS = ['urgent', 'high', 'normal', 'low'];
+
+function priorityRank(priority) {
+  const index = PRIORITY_LEVELS.indexOf((priority?.priority || '').toLowerCase());
+  return index === -1 ? PRIORITY_LEVELS.length : index;
+}
+
+// Tasks without a priority, due date or known status go after those with one
+const SORT_VALUES = {
+  priority: task => priorityRank(task.priority),
+  dueDate: task => {
+    const due = Date.parse(task.dueDate);
+    return isNaN(due) ? Infinity : due;
+  },
+  status: task => {
+    const index = getConfig().workflowStatuses.indexOf((task.status || '').toLowerCase());
+    return index === -1 ? Infinity : index;
+  },
+};
+
+// Sorts a section in place by the configured `sortOrder`. The sort is stable,
+// so ties keep the order the section was built in.
+function sortTasks(tasks, keys = getConfig().sortOrder) {
+  const values = keys.map(key => SORT_VALUES[key]);
+  return tasks.sort((a, b) => {
+    for (const value of values) {
+      const diff = value(a) - value(b);
+      if (diff !== 0 && !isNaN(diff)) return diff;
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  isV15List,
+  formatDate,
+  formatReportDate,
+  getWorkdayCutoff,
+  getActivityWindowLabel,
+  resolveReportTime,
+  startOfDay,
+  workingDaysBetween,
+  escapeHtml,
+  stripV15Prefix,
+  extractContentLine,
+  extractCommentText,
+  getMostRecentMeaningfulComment,
+  truncate,
+  isTeamMember,
+  matchedMembers,
+  isOverdue,
+  formatDuration,
+  formatDays,
+  formatProgress,
+  formatEstimate,
+  formatEstimateTrend,
+  formatStatusHistory,
+  isStale,
+  memberInitials,
+  PRIORITY_LEVELS,
+  priorityRank,
+  sortTasks,
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache', 'clickup');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Per-endpoint time to live, first match wins; endpoints not listed are never
+// cached. The workspace layout rarely changes, task data is kept just long
+// enough to make a rerun after a crash cheap.
+const CACHE_TTLS = [
+  { pattern: /^\/(team|team\/\w+\/space|space\/\w+\/folder|folder\/\w+\/list)$/, ttl: DAY },
+  { pattern: /^\/list\/\w+$/, ttl: 10 * MINUTE },
+  { pattern: /^\/list\/\w+\/task$/, ttl: 10 * MINUTE },
+  { pattern: /^\/task\/\w+\/comment$/, ttl: 10 * MINUTE },
+  { pattern: /^\/task\/bulk_time_in_status\/task_ids$/, ttl: 10 * MINUTE },
+];
+
+// Expired entries are kept for conditional requests until they are this old
+const MAX_CACHE_AGE = 7 * DAY;
+
+// With `read` false (--no-cache) every request goes to the network, but fresh
+// responses are still stored for the next run.
+let cacheDir = CACHE_DIR;
+let readEnabled = true;
+
+function useCache(dir, { read = true } = {}) {
+  cacheDir = dir ? path.resolve(dir) : null;
+  readEnabled = read;
+}
+
+function cacheTTL(endpoint) {
+  const rule = CACHE_TTLS.find(r => r.pattern.test(endpoint));
+  return rule ? rule.ttl : 0;
+}
+
+function cachePath(url) {
+  return path.join(cacheDir, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+}
+
+// Returns { response, fresh, etag, lastModified }, or null on a miss
+function getCached(endpoint, url, now = Date.now()) {
+  if (!cacheDir || !readEnabled || cacheTTL(endpoint) === 0) return null;
+  const file = cachePath(url);
+  if (!fs.existsSync(file)) return null;
+
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+  if (entry.url !== url) return null;
+  return {
+    response: entry.response,
+    fresh: now - Date.parse(entry.storedAt) < cacheTTL(endpoint),
+    etag: entry.etag || null,
+    lastModified: entry.lastModified || null,
+  };
+}
+
+function setCached(endpoint, url, response, { etag = null, lastModified = null } = {}, now = Date.now()) {
+  if (!cacheDir || cacheTTL(endpoint) === 0) return;
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const entry = { url, storedAt: new Date(now).toISOString(), etag, lastModified, response };
+  fs.writeFileSync(cachePath(url), JSON.stringify(entry));
+}
+
+function pruneCache(now = Date.now()) {
+  if (!cacheDir || !fs.existsSync(cacheDir)) return 0;
+  let removed = 0;
+  for (const name of fs.readdirSync(cacheDir)) {
+    const file = path.join(cacheDir, name);
+    if (now - fs.statSync(file).mtimeMs > MAX_CACHE_AGE) {
+      fs.unlinkSync(file);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_DIR,
+  useCache,
+  cacheTTL,
+  getCached,
+  setCached,
+  pruneCache,
+};
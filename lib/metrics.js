@@ -0,0 +1,118 @@
+const { getConfig } = require('./config');
+const { matchedMembers } = require('./helpers');
+const { statusHistory } = require('./snapshots');
+
+// ─── Flow Metrics ────────────────────────────────────────────────────────────
+
+// Cycle time runs from the first active status (anything past "to do") to
+// completion, lead time from creation to completion. Both are measured over
+// tasks completed in the last `metricsWindowDays`.
+
+const DAY = 24 * 60 * 60 * 1000;
+const WAITING_STATUS_TYPES = ['open', 'done', 'closed'];
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return Math.round(sorted[low] + (sorted[high] - sorted[low]) * (rank - low));
+}
+
+function durationStats(values) {
+  return { count: values.length, median: percentile(values, 50), p85: percentile(values, 85) };
+}
+
+// ClickUp's time-in-status history gives the most precise start; the task's
+// start date and the status snapshot are fallbacks for tasks it does not cover.
+function cycleStart(task, timeInStatus, statusSnapshot) {
+  const active = (timeInStatus?.status_history || [])
+    .filter(s => !WAITING_STATUS_TYPES.includes(s.type) && (s.status || '').toLowerCase() !== 'to do')
+    .map(s => parseInt(s.total_time?.since))
+    .filter(since => !isNaN(since));
+  if (active.length > 0) return Math.min(...active);
+
+  const start = parseInt(task.start_date);
+  if (!isNaN(start)) return start;
+
+  const step = statusHistory(statusSnapshot[task.id]).find(s => s.since && s.status.toLowerCase() !== 'to do');
+  return step ? Date.parse(step.since) : null;
+}
+
+// Time spent in each status before completion, from the time-in-status data
+function statusDurations(timeInStatus) {
+  if (!timeInStatus) return [];
+  const finalStatus = timeInStatus.current_status?.status;
+  return (timeInStatus.status_history || [])
+    .filter(s => s.status !== finalStatus && s.total_time?.by_minute > 0)
+    .map(s => ({ status: s.status.toLowerCase(), ms: s.total_time.by_minute * 60 * 1000 }));
+}
+
+// Ids of tasks completed inside the window, so their time in status can be
+// fetched alongside the task updates'
+function tasksCompletedInWindow(allTasksByList, now) {
+  const since = now - getConfig().metricsWindowDays * DAY;
+  const completed = [];
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      const doneTime = parseInt(task.date_done || task.date_closed);
+      if (isNaN(doneTime) || doneTime < since || doneTime > now) continue;
+      completed.push({ list, task, doneTime });
+    }
+  }
+  return completed;
+}
+
+function buildFlowMetrics(allTasksByList, timeInStatusData, statusSnapshot, now) {
+  const { metricsWindowDays } = getConfig();
+  const samples = tasksCompletedInWindow(allTasksByList, now).map(({ list, task, doneTime }) => {
+    const start = cycleStart(task, timeInStatusData[task.id], statusSnapshot);
+    const created = parseInt(task.date_created);
+    return {
+      listName: list.name,
+      members: matchedMembers(task),
+      cycleTime: start != null && start <= doneTime ? doneTime - start : null,
+      leadTime: !isNaN(created) && created <= doneTime ? doneTime - created : null,
+      statuses: statusDurations(timeInStatusData[task.id]),
+    };
+  });
+
+  const summarize = group => ({
+    count: group.length,
+    cycleTime: durationStats(group.map(s => s.cycleTime).filter(v => v != null)),
+    leadTime: durationStats(group.map(s => s.leadTime).filter(v => v != null)),
+  });
+
+  const listNames = [...new Set(samples.map(s => s.listName))];
+  const byList = listNames.map(name => ({ name, ...summarize(samples.filter(s => s.listName === name)) }));
+  const byEngineer = getConfig().teamMembers
+    .map(({ name }) => ({ name, ...summarize(samples.filter(s => s.members.includes(name))) }))
+    .filter(engineer => engineer.count > 0);
+
+  const totals = new Map();
+  for (const { status, ms } of samples.flatMap(s => s.statuses)) {
+    totals.set(status, (totals.get(status) || 0) + ms);
+  }
+  const totalMs = [...totals.values()].reduce((sum, ms) => sum + ms, 0);
+  const timeInStatus = [...totals]
+    .map(([status, ms]) => ({ status, totalMs: ms, share: ms / totalMs }))
+    .sort((a, b) => b.totalMs - a.totalMs);
+
+  console.log(`  Flow metrics: ${samples.length} tasks completed in the last ${metricsWindowDays} days`);
+  return {
+    windowDays: metricsWindowDays,
+    since: now - metricsWindowDays * DAY,
+    overall: summarize(samples),
+    byList,
+    byEngineer,
+    timeInStatus,
+  };
+}
+
+module.exports = {
+  percentile,
+  tasksCompletedInWindow,
+  buildFlowMetrics,
+};
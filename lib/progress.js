@@ -0,0 +1,89 @@
+const { getConfig } = require('./config');
+const { formatDate, startOfDay } = require('./helpers');
+const { archiveDate } = require('./archive');
+const { statusHistory } = require('./snapshots');
+
+// ─── Feature Progress ────────────────────────────────────────────────────────
+
+// How far along a v1.5 feature is: the share of its tasks and milestones that
+// are done, how many tasks sit in each status, and a burndown of open tasks.
+// The burndown reads each task's status on past days from the status snapshot
+// as the builders left it, and never adds to it; for tasks the snapshot does
+// not track, or days before one was first seen, it falls back to the task's
+// done date.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DONE_STATUSES = ['complete', 'closed'];
+const BURNDOWN_DAYS = 28;
+
+function isDone(task) {
+  return DONE_STATUSES.includes((task.status?.status || '').toLowerCase()) || Boolean(task.date_closed || task.date_done);
+}
+
+function share(items) {
+  const done = items.filter(isDone).length;
+  return { done, total: items.length, percent: items.length > 0 ? Math.round((done / items.length) * 100) : null };
+}
+
+function statusCounts(tasks) {
+  const counts = new Map();
+  for (const task of tasks) {
+    const status = (task.status?.status || 'unknown').toLowerCase();
+    counts.set(status, (counts.get(status) || 0) + 1);
+  }
+  const order = getConfig().workflowStatuses;
+  const rank = status => (order.includes(status) ? order.indexOf(status) : order.length);
+  return [...counts]
+    .map(([status, count]) => ({ status, count }))
+    .sort((a, b) => rank(a.status) - rank(b.status) || a.status.localeCompare(b.status));
+}
+
+function doneAt(task, statusSnapshot, time) {
+  const known = statusHistory(statusSnapshot[task.id]).filter(step => !step.since || Date.parse(step.since) <= time);
+  if (known.length > 0) return DONE_STATUSES.includes(known[known.length - 1].status.toLowerCase());
+  const doneTime = parseInt(task.date_closed || task.date_done);
+  return !isNaN(doneTime) && doneTime <= time;
+}
+
+// Open tasks at the end of each day, from the day of the feature's start (or
+// first task) to `now`, at most BURNDOWN_DAYS back. The last point is the
+// current state. `startTime` is the list's raw start_date timestamp.
+function buildBurndown(tasks, statusSnapshot, startTime, now) {
+  if (tasks.length === 0) return null;
+  const created = tasks.map(t => parseInt(t.date_created)).filter(t => !isNaN(t));
+  const firstTask = created.length > 0 ? Math.min(...created) : now;
+  const featureStart = parseInt(startTime);
+  const earliest = Math.max(isNaN(featureStart) ? firstTask : Math.min(featureStart, firstTask), now - BURNDOWN_DAYS * DAY);
+  // Points fall at the report's time of day; counting whole days from midnight
+  // keeps the first one on the start day
+  const start = startOfDay(archiveDate(earliest));
+  const days = Math.max(0, Math.floor((now - start) / DAY));
+
+  const points = [];
+  for (let i = days; i >= 0; i--) {
+    const time = now - i * DAY;
+    const remaining = i === 0
+      ? tasks.filter(t => !isDone(t)).length
+      : tasks.filter(t => !(parseInt(t.date_created) > time) && !doneAt(t, statusSnapshot, time)).length;
+    points.push({ date: formatDate(time), remaining });
+  }
+  return { points };
+}
+
+// `tasks` are the feature list's tasks; milestones are those with
+// custom_item_id 1 and everything else counts as a task.
+function buildFeatureProgress(tasks, statusSnapshot, startTime, now) {
+  const milestones = tasks.filter(t => t.custom_item_id === 1);
+  const work = tasks.filter(t => t.custom_item_id !== 1);
+  return {
+    tasks: share(work),
+    milestones: share(milestones),
+    statusCounts: statusCounts(work),
+    burndown: buildBurndown(work, statusSnapshot, startTime, now),
+  };
+}
+
+module.exports = {
+  isDone,
+  buildFeatureProgress,
+};
@@ -0,0 +1,81 @@
+// ─── Token Bucket ────────────────────────────────────────────────────────────
+
+// Runs tasks with at most `concurrency` in flight and at most `limit` started per
+// `windowMs`. The bucket refills continuously; update() corrects it from the
+// X-RateLimit-* headers ClickUp sends back, so other clients sharing the token
+// are accounted for too.
+function createRateLimiter({ limit, windowMs, concurrency }) {
+  let capacity = limit;
+  let tokens = limit;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let active = 0;
+  let timer = null;
+  const queue = [];
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) * capacity) / windowMs);
+    lastRefill = now;
+  }
+
+  function waitMs() {
+    const paused = pausedUntil - Date.now();
+    const empty = tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * windowMs) / capacity);
+    return Math.max(paused, empty);
+  }
+
+  function pump() {
+    if (timer) return;
+    while (queue.length > 0 && active < concurrency) {
+      refill();
+      const wait = waitMs();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+        return;
+      }
+
+      tokens -= 1;
+      active++;
+      const { task, resolve, reject } = queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      pump();
+    });
+  }
+
+  function pauseUntil(time) {
+    pausedUntil = Math.max(pausedUntil, time);
+  }
+
+  // X-RateLimit-Reset is a Unix time in seconds
+  function update(headers) {
+    const headerLimit = parseInt(headers.get('x-ratelimit-limit'), 10);
+    const remaining = parseInt(headers.get('x-ratelimit-remaining'), 10);
+    const reset = parseInt(headers.get('x-ratelimit-reset'), 10);
+
+    if (headerLimit > 0) capacity = headerLimit;
+    if (isNaN(remaining)) return;
+    refill();
+    tokens = Math.min(tokens, remaining);
+    if (remaining <= 0 && reset > 0) pauseUntil(reset * 1000);
+  }
+
+  return { schedule, pauseUntil, update };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,699 @@
+const {
+  formatDate,
+  formatReportDate,
+  getActivityWindowLabel,
+  escapeHtml,
+  truncate,
+  formatStatusHistory,
+  formatDays,
+  formatProgress,
+  formatEstimate,
+  formatEstimateTrend,
+  isOverdue,
+  formatDuration,
+  isStale,
+  PRIORITY_LEVELS,
+} = require('./helpers');
+const { getConfig } = require('./config');
+
+function renderDueDate(dueDateStr, status, now) {
+  if (isOverdue(dueDateStr, status, now)) {
+    return `<span style="color:#b71c1c;font-weight:bold;">${escapeHtml(dueDateStr)}</span>`;
+  }
+  return escapeHtml(dueDateStr);
+}
+
+function renderDateWithChange(currentDate, history) {
+  if (!history || history.length === 0) return escapeHtml(currentDate);
+  const struck = history.map(d => `<span style="text-decoration:line-through;color:#999;">${escapeHtml(d)}</span>`).join(' ');
+  return `${struck} <strong>${escapeHtml(currentDate)}</strong>`;
+}
+
+function renderDueDateWithChange(currentDate, history, status, now) {
+  if (!history || history.length === 0) return renderDueDate(currentDate, status, now);
+  const struck = history.map(d => `<span style="text-decoration:line-through;color:#999;">${escapeHtml(d)}</span>`).join(' ');
+  const overdue = isOverdue(currentDate, status, now);
+  const style = overdue ? ' style="color:#b71c1c;font-weight:bold;"' : '';
+  return `${struck} <strong${style}>${escapeHtml(currentDate)}</strong>`;
+}
+
+function statusColor(status) {
+  if (!status) return '#888';
+  const s = status.toLowerCase();
+  if (s === 'to do') return '#888888';
+  if (s === 'in planning') return '#d4a017';
+  if (s === 'selected for development') return '#8B4513';
+  if (s === 'paused') return '#5bc0de';
+  if (s === 'abandoned') return '#e65100';
+  if (s === 'blocked') return '#c62828';
+  if (s === 'in progress') return '#1a3e7a';
+  if (s === 'in review') return '#e91e8a';
+  if (s === 'in qa') return '#7b1fa2';
+  if (s === 'ready for deployment') return '#555555';
+  if (s === 'complete' || s === 'closed') return '#2e7d32';
+  return '#888';
+}
+
+// ClickUp's own colors, for priorities that arrive without one
+const PRIORITY_COLORS = {
+  urgent: '#f50000',
+  high: '#f8ae00',
+  normal: '#6fddff',
+  low: '#d8d8d8',
+};
+
+function renderPriority(priority) {
+  const level = (priority?.priority || '').toLowerCase();
+  if (!PRIORITY_COLORS[level]) return '';
+  const color = priority.color || PRIORITY_COLORS[level];
+  return ` <span style="font-size:11px;padding:0 6px;border:1px solid ${escapeHtml(color)};border-radius:8px;color:#333;white-space:nowrap;"><span style="color:${escapeHtml(color)};">&#9873;</span> ${escapeHtml(level)}</span>`;
+}
+
+function renderTaskName(name, url, priority) {
+  let html = '';
+  if (url) {
+    html += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"><strong>${escapeHtml(name)}</strong></a>`;
+  } else {
+    html += `<strong>${escapeHtml(name)}</strong>`;
+  }
+  html += renderPriority(priority);
+  return html;
+}
+
+function renderStatus(status) {
+  return `<span style="color:${statusColor(status)};">${escapeHtml(status)}</span>`;
+}
+
+function renderStatusWithDuration(status, durationMs) {
+  const dur = formatDuration(durationMs);
+  if (!dur) return renderStatus(status);
+  const durStyle = isStale(status, durationMs) ? 'color:#e65100;font-weight:bold;' : 'color:#888;';
+  return `${renderStatus(status)} <span style="font-size:11px;${durStyle}">(${dur})</span>`;
+}
+
+function renderStatusHistory(summary) {
+  const text = formatStatusHistory(summary);
+  if (!text) return '';
+  const color = summary.regressions.length > 0 ? '#b71c1c' : '#555';
+  return `  <div style="font-size:11px;color:${color};padding:1px 8px;">History: ${escapeHtml(text)}</div>\n`;
+}
+
+function renderStatusChange(statusChange) {
+  if (!statusChange) return '';
+  return `  <div style="font-size:11px;color:#555;padding:1px 8px;">Status Change: ${renderStatus(statusChange.oldStatus)} &rarr; ${renderStatus(statusChange.newStatus)}</div>\n`;
+}
+
+function renderDataGapBanner(dataGaps) {
+  if (!dataGaps || dataGaps.length === 0) return '';
+  return `
+  <div style="margin-top:12px;padding:8px 12px;background:#fff3e0;border-left:4px solid #e65100;font-size:13px;">
+    <strong>Data incomplete:</strong> ${dataGaps.map(escapeHtml).join('; ')}. Notes and time in status may be missing.
+  </div>
+`;
+}
+
+// ─── Interactive Page ────────────────────────────────────────────────────────
+
+// Every task-like row is wrapped in an .item carrying the values the filter bar
+// matches on; an item with no value for an active filter is hidden. Without
+// JavaScript the page reads as before: the filter bar stays hidden and every
+// section is expanded.
+
+function itemFields(task, status = task.status) {
+  return {
+    initials: task.initials || [],
+    list: task.listName || null,
+    status: status ? status.toLowerCase() : null,
+    priority: (task.priority?.priority || 'none').toLowerCase(),
+  };
+}
+
+function renderItem(fields, content) {
+  const attrs = [];
+  if (fields.initials && fields.initials.length > 0) attrs.push(['initials', fields.initials.join(' ')]);
+  if (fields.list) attrs.push(['list', fields.list]);
+  if (fields.status) attrs.push(['status', fields.status]);
+  if (fields.priority) attrs.push(['priority', fields.priority]);
+  const data = attrs.map(([key, value]) => ` data-${key}="${escapeHtml(value)}"`).join('');
+  return `  <div class="item"${data}>\n${content}  </div>\n`;
+}
+
+function renderSection(key, title, body) {
+  return `
+  <div class="section" data-section="${key}">
+  <div class="section-title">${title}</div>
+  <div class="section-body">
+${body}  </div>
+  </div>
+`;
+}
+
+// Values offered by each filter, from the same fields the items are rendered with
+function collectFilterOptions(report) {
+  const fields = [
+    ...report.completedTasks.map(t => itemFields(t, null)),
+    ...report.blockedTasks.map(t => itemFields(t, 'blocked')),
+    ...report.taskUpdates.map(t => itemFields(t)),
+    ...report.recentlyCreated.map(t => itemFields(t, null)),
+    ...(report.staleWork || []).map(t => itemFields(t)),
+    ...(report.unownedWork || []).map(t => itemFields(t)),
+    ...report.featureUpdates.map(f => ({ initials: f.initials })),
+  ];
+  const distinct = key => [...new Set(fields.flatMap(f => f[key] || []))];
+  const { workflowStatuses } = getConfig();
+  const statusOrder = s => (workflowStatuses.includes(s) ? workflowStatuses.indexOf(s) : workflowStatuses.length);
+
+  return {
+    initials: distinct('initials').sort(),
+    list: distinct('list').sort((a, b) => a.localeCompare(b)),
+    status: distinct('status').sort((a, b) => statusOrder(a) - statusOrder(b) || a.localeCompare(b)),
+    priority: [...PRIORITY_LEVELS, 'none'].filter(p => fields.some(f => f.priority === p)),
+  };
+}
+
+function renderFilterBar(report) {
+  const options = collectFilterOptions(report);
+  const select = (key, label) => {
+    const choices = options[key].map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value === 'none' ? 'no priority' : value)}</option>`);
+    return `    <select data-filter="${key}" aria-label="${label}"><option value="">All ${label}</option>${choices.join('')}</select>\n`;
+  };
+  return `
+  <div id="filters" class="filters" style="display:none;">
+    <input type="search" id="filter-search" placeholder="Search tasks" aria-label="Search tasks">
+${select('initials', 'engineers')}${select('list', 'lists')}${select('status', 'statuses')}${select('priority', 'priorities')}    <button type="button" id="filter-clear">Clear</button>
+    <button type="button" id="toggle-all">Collapse all</button>
+  </div>
+`;
+}
+
+// Inlined so the page works offline and from Pages without a CDN
+const INTERACTIVE_SCRIPT = `
+(function () {
+  var filters = document.getElementById('filters');
+  var search = document.getElementById('filter-search');
+  var selects = Array.prototype.slice.call(filters.querySelectorAll('select[data-filter]'));
+  var sections = Array.prototype.slice.call(document.querySelectorAll('.section'));
+  var toggleAll = document.getElementById('toggle-all');
+
+  function matches(item, key, value) {
+    var attr = item.getAttribute('data-' + key);
+    if (attr === null) return false;
+    return key === 'initials' ? attr.split(' ').indexOf(value) !== -1 : attr === value;
+  }
+
+  function apply() {
+    var query = search.value.trim().toLowerCase();
+    var active = selects.filter(function (s) { return s.value; });
+    sections.forEach(function (section) {
+      var items = section.querySelectorAll('.item');
+      var shown = 0;
+      Array.prototype.forEach.call(items, function (item) {
+        var visible = active.every(function (s) { return matches(item, s.getAttribute('data-filter'), s.value); }) &&
+          (!query || item.textContent.toLowerCase().indexOf(query) !== -1);
+        item.hidden = !visible;
+        if (visible) shown++;
+      });
+      section.classList.toggle('no-match', items.length > 0 && shown === 0);
+    });
+  }
+
+  document.body.classList.add('interactive');
+  filters.style.display = '';
+  search.addEventListener('input', apply);
+  selects.forEach(function (s) { s.addEventListener('change', apply); });
+  document.getElementById('filter-clear').addEventListener('click', function () {
+    search.value = '';
+    selects.forEach(function (s) { s.value = ''; });
+    apply();
+  });
+
+  Array.prototype.forEach.call(document.querySelectorAll('.section-title, .milestone-title'), function (title) {
+    title.addEventListener('click', function () { title.parentNode.classList.toggle('collapsed'); });
+  });
+  toggleAll.addEventListener('click', function () {
+    var collapse = toggleAll.textContent === 'Collapse all';
+    sections.forEach(function (section) { section.classList.toggle('collapsed', collapse); });
+    toggleAll.textContent = collapse ? 'Expand all' : 'Collapse all';
+  });
+})();
+`;
+
+// ─── Sections ────────────────────────────────────────────────────────────────
+
+function renderNote(note, style = '') {
+  return `  <div class="note"${style}>Notes: ${escapeHtml(truncate(note, 300))}</div>\n`;
+}
+
+function renderEmpty(text) {
+  return `  <div style="font-size:13px;color:#888;">${text}</div>\n`;
+}
+
+function renderFeatureLint(entries) {
+  let body = '';
+  for (const entry of entries) {
+    body += renderItem({}, `  <div style="font-size:13px;padding:4px 0;"><strong>${escapeHtml(entry.name)}</strong>: ${escapeHtml(entry.problems.join('; '))}</div>\n`);
+  }
+  return renderSection('feature-lint', 'Feature Description Problems', body);
+}
+
+function renderScheduleHealth(entries) {
+  if (entries.length === 0) return renderSection('schedule', 'Schedule Health', renderEmpty('No slipped due dates.'));
+
+  let body = '';
+  for (const entry of entries) {
+    const label = entry.kind === 'feature' ? 'Feature' : entry.kind === 'milestone' ? `Milestone in ${entry.feature}` : 'Task';
+    const days = entry.daysSlipped != null ? `, +${entry.daysSlipped} days` : '';
+    const again = entry.slippedThisWindow
+      ? ' <span style="color:#b71c1c;font-weight:bold;">slipped again</span>'
+      : '';
+    body += renderItem({}, `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(entry.name, entry.url, null)} <span style="color:#888;">(${escapeHtml(label)})</span> | ${entry.slips} slip${entry.slips === 1 ? '' : 's'}${days} | Due: ${renderDateWithChange(entry.dueDate, entry.dueDateHistory)}${again}</div>\n`);
+  }
+  return renderSection('schedule', 'Schedule Health', body);
+}
+
+function renderStaleWork(tasks) {
+  if (tasks.length === 0) return renderSection('stale', 'Stale Work', renderEmpty('No stale work.'));
+
+  let body = '';
+  for (const task of tasks) {
+    const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+    const statusHtml = task.timeInStatus != null ? renderStatusWithDuration(task.status, task.timeInStatus) : renderStatus(task.status);
+    const activity = task.inactiveDays != null
+      ? `Last activity: ${escapeHtml(task.lastActivity)} (${task.inactiveDays}d ago)`
+      : 'No recorded activity';
+    body += renderItem(itemFields(task), `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${statusHtml} | ${escapeHtml(task.listName)} | ${activity}</div>\n`);
+  }
+  return renderSection('stale', 'Stale Work', body);
+}
+
+function renderUnownedWork(tasks) {
+  if (tasks.length === 0) return renderSection('unowned', 'Unowned Work', renderEmpty('All in-flight work has an owner on the team.'));
+
+  let body = '';
+  for (const task of tasks) {
+    const where = task.feature ? `Feature: ${escapeHtml(task.feature)}` : escapeHtml(task.listName);
+    const owner = task.owner === 'unassigned'
+      ? '<span style="color:#b71c1c;font-weight:bold;">Unassigned</span>'
+      : `Assigned outside the team: ${escapeHtml(task.assignees.join(', '))}`;
+    body += renderItem(itemFields(task), `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)} | ${renderStatus(task.status)} | ${where} | ${owner}</div>\n`);
+  }
+  return renderSection('unowned', 'Unowned Work', body);
+}
+
+function renderEstimates({ features, trend }) {
+  if (features.length === 0) {
+    return renderSection('estimates', 'Estimates vs Actuals', renderEmpty('No v1.5 features with both a start date and a sizing.'));
+  }
+
+  let body = `  <div style="font-size:11px;color:#777;">Working days (weekends excluded) against the latest sizing. Above 1x took longer than sized.</div>\n`;
+  const trendLine = formatEstimateTrend(trend);
+  if (trendLine) body += `  <div style="font-size:13px;padding:4px 0;font-weight:bold;">${escapeHtml(trendLine)}</div>\n`;
+  for (const entry of features) {
+    const over = entry.ratio > 1 ? ' style="color:#b71c1c;"' : '';
+    body += renderItem({}, `  <div style="font-size:13px;padding:4px 0;"${over}><strong>${escapeHtml(entry.name)}</strong> | ${escapeHtml(formatEstimate(entry))}</div>\n`);
+  }
+  return renderSection('estimates', 'Estimates vs Actuals', body);
+}
+
+function renderFlowMetrics(metrics) {
+  if (metrics.overall.count === 0) {
+    return renderSection('metrics', 'Flow Metrics', renderEmpty(`No tasks completed in the last ${metrics.windowDays} days.`));
+  }
+
+  const cell = 'style="padding:2px 16px 2px 0;"';
+  const stats = s => (s.count > 0 ? `${formatDays(s.median)} / ${formatDays(s.p85)}` : '&mdash;');
+  const row = (label, group, style = '') =>
+    `    <tr${style}><td ${cell}>${escapeHtml(label)}</td><td ${cell}>${stats(group.cycleTime)}</td><td ${cell}>${stats(group.leadTime)}</td><td ${cell}>${group.count}</td></tr>\n`;
+  const heading = label => `    <tr><td colspan="4" style="padding:6px 0 2px;color:#555;">${label}</td></tr>\n`;
+
+  let body = `  <div style="font-size:11px;color:#777;">Tasks completed in the last ${metrics.windowDays} days, median / p85. Cycle time starts at the first active status, lead time at creation.</div>\n`;
+  body += `  <table style="font-size:12px;border-collapse:collapse;margin-top:4px;">\n`;
+  body += `    <tr style="color:#555;"><th></th><th ${cell} align="left">Cycle time</th><th ${cell} align="left">Lead time</th><th ${cell} align="left">Tasks</th></tr>\n`;
+  body += row('Overall', metrics.overall, ' style="font-weight:bold;"');
+  body += heading('By list');
+  for (const list of metrics.byList) body += row(list.name, list);
+  if (metrics.byEngineer.length > 0) {
+    body += heading('By engineer');
+    for (const engineer of metrics.byEngineer) body += row(engineer.name, engineer);
+  }
+  body += `  </table>\n`;
+
+  if (metrics.timeInStatus.length > 0) {
+    const shares = metrics.timeInStatus.map(s => `${renderStatus(s.status)} ${Math.round(s.share * 100)}% (${formatDays(s.totalMs)})`);
+    body += `  <div style="font-size:12px;padding:6px 0;">Where time goes: ${shares.join(', ')}</div>\n`;
+  }
+  return renderSection('metrics', 'Flow Metrics', body);
+}
+
+function renderEngineerSection(engineers, now) {
+  let body = '';
+
+  for (const engineer of engineers) {
+    body += `  <div style="font-size:13px;font-weight:bold;padding:6px 0 2px;">${escapeHtml(engineer.name)} (${escapeHtml(engineer.initials)})</div>\n`;
+    const groups = [
+      ['Completed', engineer.completed, task => `Completed: ${escapeHtml(task.completedDate)}`],
+      ['Blocked', engineer.blocked, task => `${escapeHtml(task.listName)} | Due: ${renderDueDate(task.dueDate, 'blocked', now)}`],
+      ['In Progress', engineer.inProgress, task => `${renderStatus(task.status)} | ${escapeHtml(task.listName)} | Due: ${renderDueDate(task.dueDate, task.status, now)}`],
+      ['Overdue', engineer.overdue, task => `${renderStatus(task.status || 'blocked')} | Due: ${renderDueDate(task.dueDate, task.status || 'blocked', now)}`],
+    ];
+    if (groups.every(([, tasks]) => tasks.length === 0)) {
+      body += `  <div style="font-size:11px;color:#888;padding:1px 8px;">No tracked activity.</div>\n`;
+      continue;
+    }
+    for (const [label, tasks, details] of groups) {
+      if (tasks.length === 0) continue;
+      body += `  <div style="font-size:12px;font-weight:bold;color:#444;padding:3px 8px 1px;">${label} (${tasks.length})</div>\n`;
+      for (const task of tasks) {
+        let content = `  <div style="font-size:12px;padding:1px 16px;">${renderTaskName(task.name, task.url, task.priority)} | ${details(task)}</div>\n`;
+        // Overdue tasks already appear with their note under Blocked or In Progress
+        if (task.note && label !== 'Overdue') content += renderNote(task.note, ' style="padding-left:16px;"');
+        const status = label === 'Completed' ? null : task.status || 'blocked';
+        body += renderItem({ ...itemFields(task, status), initials: [engineer.initials] }, content);
+      }
+    }
+  }
+
+  return renderSection('engineers', 'By Engineer', body);
+}
+
+const BURNDOWN_WIDTH = 240;
+const BURNDOWN_HEIGHT = 60;
+
+// Open tasks per day as a line, with a dashed line from the first day's count
+// down to zero on the due date for comparison. Plain SVG so it needs no script.
+function renderBurndown(points, dueDate) {
+  if (!points || points.length < 2) return '';
+  const pad = 4;
+  const first = Date.parse(points[0].date);
+  const dueDays = (Date.parse(dueDate) - first) / (24 * 60 * 60 * 1000);
+  const spanDays = Math.max(points.length - 1, isNaN(dueDays) ? 0 : dueDays);
+  const maxRemaining = Math.max(1, ...points.map(p => p.remaining));
+  const x = day => (pad + (day / spanDays) * (BURNDOWN_WIDTH - 2 * pad)).toFixed(1);
+  const y = remaining => (pad + (1 - remaining / maxRemaining) * (BURNDOWN_HEIGHT - 2 * pad)).toFixed(1);
+
+  const line = points.map((p, i) => `${x(i)},${y(p.remaining)}`).join(' ');
+  const ideal = !isNaN(dueDays) && dueDays > 0
+    ? `<line x1="${x(0)}" y1="${y(points[0].remaining)}" x2="${x(dueDays)}" y2="${y(0)}" stroke="#bbb" stroke-dasharray="3,3" />`
+    : '';
+  const last = points[points.length - 1];
+  const title = `Open tasks: ${points[0].remaining} on ${points[0].date}, ${last.remaining} on ${last.date}`;
+  return `  <div style="padding:2px 8px;"><svg width="${BURNDOWN_WIDTH}" height="${BURNDOWN_HEIGHT}" viewBox="0 0 ${BURNDOWN_WIDTH} ${BURNDOWN_HEIGHT}" role="img" aria-label="${escapeHtml(title)}" style="background:#fafafa;border:1px solid #eee;"><title>${escapeHtml(title)}</title>${ideal}<polyline points="${line}" fill="none" stroke="#1976d2" stroke-width="2" /></svg></div>\n`;
+}
+
+function renderFeatureProgress(feature, now) {
+  const { progress } = feature;
+  let html = '';
+  const summary = formatProgress(progress);
+  if (summary) html += `  <div style="font-size:11px;color:#555;padding:1px 8px;">Progress: ${escapeHtml(summary)}</div>\n`;
+  if (progress.statusCounts.length > 0) {
+    const counts = progress.statusCounts.map(s => `${renderStatus(s.status)} ${s.count}`).join(', ');
+    html += `  <div style="font-size:11px;color:#555;padding:1px 8px;">Tasks by status: ${counts}</div>\n`;
+  }
+  html += renderBurndown(progress.burndown?.points, feature.dueDate);
+  for (const milestone of feature.milestones.filter(m => m.id)) {
+    html += `  <div style="font-size:11px;color:#555;padding:1px 16px;">${escapeHtml(milestone.name)} | ${renderStatus(milestone.status)} | Due: ${renderDueDateWithChange(milestone.dueDate, milestone.dueDateHistory, milestone.status, now)}</div>\n`;
+  }
+  return html;
+}
+
+function renderFeature(feature, now) {
+  const initials = feature.initials.length > 0 ? ` (${feature.initials.join(', ')})` : '';
+  const hasStart = feature.startDate && feature.startDate !== 'TBD';
+  const hasDue = feature.dueDate && feature.dueDate !== 'TBD';
+  let dateParts = '';
+  if (hasStart || hasDue) {
+    const segments = [];
+    if (hasStart) segments.push(`Start: ${renderDateWithChange(feature.startDate, feature.startDateHistory)}`);
+    if (hasDue) segments.push(`Due: ${renderDueDateWithChange(feature.dueDate, feature.dueDateHistory, feature.status, now)}`);
+    dateParts = ' | ' + segments.join(' | ');
+  }
+  let html = `  <div style="font-size:13px;padding:4px 0;"><strong>${escapeHtml(feature.name)}</strong>${escapeHtml(initials)}${dateParts}</div>\n`;
+  html += `  <div style="font-size:11px;color:#555;padding:1px 8px;">Status: ${escapeHtml(feature.status)}</div>\n`;
+  if (feature.progress) html += renderFeatureProgress(feature, now);
+
+  // Render milestones that have recent task status changes
+  for (const milestone of feature.milestones) {
+    if (milestone.recentChanges.length === 0) continue;
+    html += `  <div class="milestone">\n`;
+    html += `  <div class="milestone-title" style="font-size:12px;font-weight:bold;color:#444;padding:3px 16px 1px;">${escapeHtml(milestone.name)}${renderPriority(milestone.priority)}</div>\n`;
+    html += `  <div class="milestone-body">\n`;
+    for (const change of milestone.recentChanges) {
+      const taskName = change.url
+        ? `<a href="${escapeHtml(change.url)}" target="_blank" rel="noopener noreferrer"><strong>${escapeHtml(change.name)}</strong></a>`
+        : `<strong>${escapeHtml(change.name)}</strong>`;
+      const statusText = change.statusChange.oldStatus
+        ? `${renderStatus(change.statusChange.oldStatus)} &rarr; ${renderStatus(change.statusChange.newStatus)}`
+        : renderStatus(change.statusChange.newStatus);
+      html += `  <div style="font-size:11px;color:#555;padding:1px 24px;">${taskName} | Status: ${statusText}</div>\n`;
+    }
+    html += `  </div>\n  </div>\n`;
+  }
+
+  if (feature.dailyReportNote) {
+    html += `  <div class="note">Notes: ${escapeHtml(feature.dailyReportNote)}</div>\n`;
+  }
+  return renderItem({ initials: feature.initials }, html);
+}
+
+function renderPageStart(title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      margin: 40px;
+      color: #333;
+    }
+    .header {
+      margin-bottom: 0;
+    }
+    .header h1 {
+      font-size: 18px;
+      margin: 0;
+    }
+    .header .date {
+      font-size: 14px;
+      color: #555;
+    }
+    .section-title {
+      font-size: 15px;
+      font-weight: bold;
+      margin: 20px 0 10px 0;
+    }
+    a {
+      color: inherit;
+      text-decoration: none;
+    }
+    a:hover {
+      text-decoration: underline;
+    }
+    .note {
+      font-size: 11px;
+      color: #777;
+      padding: 2px 8px 6px 8px;
+    }
+    .filters {
+      position: sticky;
+      top: 0;
+      margin-top: 12px;
+      padding: 8px 0;
+      background: #fff;
+      border-bottom: 1px solid #eee;
+      font-size: 13px;
+    }
+    .filters input, .filters select, .filters button {
+      font-size: 13px;
+      margin: 2px 4px 2px 0;
+    }
+    .interactive .section-title, .interactive .milestone-title {
+      cursor: pointer;
+      user-select: none;
+    }
+    .interactive .section-title::before {
+      content: "\\25BE  ";
+      color: #999;
+    }
+    .interactive .collapsed > .section-title::before {
+      content: "\\25B8  ";
+    }
+    .collapsed > .section-body, .collapsed > .milestone-body {
+      display: none;
+    }
+    .no-match > .section-body::after {
+      content: "No matching items.";
+      font-size: 13px;
+      color: #888;
+    }
+  </style>
+</head>
+<body>
+`;
+}
+
+// ─── HTML Generation (v2) ────────────────────────────────────────────────────
+
+// `interactive` adds the filter bar and its script; email turns it off since
+// mail clients strip scripts anyway.
+function generateHTML(report, { interactive = true } = {}) {
+  const { completedTasks, blockedTasks, taskUpdates, recentlyCreated, featureUpdates, generatedAt: now } = report;
+  const reportDate = formatReportDate(now);
+
+  let html = `${renderPageStart('Daily Activity Report')}  <div class="header">
+    <h1>Daily Activity Report</h1>
+    <span class="date">${reportDate}</span>
+  </div>
+${renderDataGapBanner(report.dataGaps)}${interactive ? renderFilterBar(report) : ''}`;
+
+  let body = '';
+  if (completedTasks.length === 0) {
+    body = renderEmpty(`No tasks completed ${getActivityWindowLabel(now)}.`);
+  } else {
+    for (const task of completedTasks) {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      let content = `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | Completed: ${escapeHtml(task.completedDate)}</div>\n`;
+      if (task.note) content += renderNote(task.note);
+      body += renderItem(itemFields(task, null), content);
+    }
+  }
+  html += renderSection('completed', 'Completed Tasks', body);
+
+  body = '';
+  if (blockedTasks.length === 0) {
+    body = renderEmpty('No blocked tasks.');
+  } else {
+    for (const task of blockedTasks) {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      let content = `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${escapeHtml(task.listName)} | Start: ${renderDateWithChange(task.startDate, task.startDateHistory)} | Due: ${renderDueDateWithChange(task.dueDate, task.dueDateHistory, 'blocked', now)}</div>\n`;
+      content += renderStatusChange(task.statusChange);
+      content += renderStatusHistory(task.statusHistory);
+      if (task.note) content += renderNote(task.note);
+      body += renderItem(itemFields(task, 'blocked'), content);
+    }
+  }
+  html += renderSection('blocked', 'Blocked Tasks', body);
+
+  body = '';
+  if (taskUpdates.length === 0) {
+    body = renderEmpty('No task updates.');
+  } else {
+    for (const task of taskUpdates) {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      const statusHtml = task.timeInStatus != null ? renderStatusWithDuration(task.status, task.timeInStatus) : renderStatus(task.status);
+      let content = `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${statusHtml} | ${escapeHtml(task.listName)} | Start: ${renderDateWithChange(task.startDate, task.startDateHistory)} | Due: ${renderDueDateWithChange(task.dueDate, task.dueDateHistory, task.status, now)}</div>\n`;
+      content += renderStatusChange(task.statusChange);
+      content += renderStatusHistory(task.statusHistory);
+      if (task.note) content += renderNote(task.note);
+      body += renderItem(itemFields(task), content);
+    }
+  }
+  html += renderSection('updates', 'Task Updates', body);
+
+  body = '';
+  if (recentlyCreated.length === 0) {
+    body = renderEmpty(`No tasks created ${getActivityWindowLabel(now)}.`);
+  } else {
+    for (const task of recentlyCreated) {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      let content = `  <div style="font-size:13px;padding:4px 0;">${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${escapeHtml(task.listName)}</div>\n`;
+      if (task.note) content += renderNote(task.note);
+      body += renderItem(itemFields(task, null), content);
+    }
+  }
+  html += renderSection('created', 'Recently Created Tasks', body);
+
+  body = featureUpdates.length === 0
+    ? renderEmpty('No feature updates.')
+    : featureUpdates.map(feature => renderFeature(feature, now)).join('');
+  html += renderSection('features', 'Feature Updates', body);
+
+  if (report.featureLint && report.featureLint.length > 0) html += renderFeatureLint(report.featureLint);
+  if (report.scheduleHealth) html += renderScheduleHealth(report.scheduleHealth);
+  if (report.staleWork) html += renderStaleWork(report.staleWork);
+  if (report.unownedWork) html += renderUnownedWork(report.unownedWork);
+  if (report.estimates) html += renderEstimates(report.estimates);
+  if (report.flowMetrics) html += renderFlowMetrics(report.flowMetrics);
+  if (report.engineers) html += renderEngineerSection(report.engineers, now);
+
+  if (interactive) html += `\n  <script>${INTERACTIVE_SCRIPT}  </script>\n`;
+  html += `
+</body>
+</html>`;
+
+  return html;
+}
+
+// ─── Period Summary ──────────────────────────────────────────────────────────
+
+const SLIP_KINDS = { feature: 'Feature', milestone: 'Milestone', task: 'Task' };
+
+function renderCountChange(label, count) {
+  if (count.change == null) return `${label}: <strong>${count.end}</strong>`;
+  const color = count.change > 0 ? '#b71c1c' : count.change < 0 ? '#2e7d32' : '#888';
+  const sign = count.change > 0 ? '+' : '';
+  return `${label}: ${count.start} &rarr; <strong>${count.end}</strong> <span style="color:${color};">(${sign}${count.change})</span>`;
+}
+
+function generateSummaryHTML(summary) {
+  const { counts } = summary;
+  const period = `${formatDate(summary.since)} &ndash; ${formatDate(summary.until)}`;
+  const row = content => `  <div style="font-size:13px;padding:4px 0;">${content}</div>\n`;
+  const baseline = counts.baselineDate
+    ? `Compared with the ${escapeHtml(counts.baselineDate)} report.`
+    : 'No archived report from before the period to compare with.';
+
+  let html = `${renderPageStart(escapeHtml(summary.title))}  <div class="header">
+    <h1>${escapeHtml(summary.title)}</h1>
+    <span class="date">${period}</span>
+  </div>
+`;
+
+  html += renderSection('counts', 'Blocked and Overdue',
+    row(renderCountChange('Blocked', counts.blocked)) +
+    row(renderCountChange('Overdue', counts.overdue)) +
+    `  <div class="note">${baseline}</div>\n`);
+
+  html += renderSection('completed', 'Completed', summary.completed.length === 0
+    ? renderEmpty('No tasks completed in this period.')
+    : summary.completed.map(task => {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      return row(`${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${escapeHtml(task.listName)} | Completed: ${escapeHtml(task.completedDate)}`);
+    }).join(''));
+
+  html += renderSection('created', 'Created', summary.created.length === 0
+    ? renderEmpty('No tasks created in this period.')
+    : summary.created.map(task => {
+      const initials = task.initials.length > 0 ? ` (${task.initials.join(', ')})` : '';
+      return row(`${renderTaskName(task.name, task.url, task.priority)}${escapeHtml(initials)} | ${escapeHtml(task.listName)} | Created: ${escapeHtml(task.createdDate)}`);
+    }).join(''));
+
+  html += renderSection('featureChanges', 'Feature Status Changes', summary.featureChanges.length === 0
+    ? renderEmpty('No feature status changes.')
+    : summary.featureChanges.map(change =>
+      row(`<strong>${escapeHtml(change.name)}</strong>: ${escapeHtml(change.from)} &rarr; ${escapeHtml(change.to)} <span style="color:#888;">(${escapeHtml(change.changedDate)})</span>`)
+    ).join(''));
+
+  html += renderSection('slips', 'Date Slips', summary.slips.length === 0
+    ? renderEmpty('No due dates moved.')
+    : summary.slips.map(slip =>
+      row(`${renderTaskName(slip.name, slip.url, null)} <span style="color:#888;">(${SLIP_KINDS[slip.kind]})</span> | Due: ${renderDateWithChange(slip.to, [slip.from])} <span style="color:#888;">(${escapeHtml(slip.changedDate)})</span>`)
+    ).join(''));
+
+  html += `
+</body>
+</html>`;
+  return html;
+}
+
+module.exports = {
+  statusColor,
+  renderStatus,
+  renderDueDate,
+  renderDueDateWithChange,
+  collectFilterOptions,
+  generateHTML,
+  generateSummaryHTML,
+};
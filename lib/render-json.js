@@ -0,0 +1,191 @@
+const { getConfig } = require('./config');
+const { formatReportDate, getWorkdayCutoff, getActivityWindowLabel, isOverdue } = require('./helpers');
+
+// Bump when a field is removed, renamed or changes meaning. Adding fields does
+// not need a bump. The shape is documented in report.schema.json.
+const REPORT_SCHEMA_VERSION = 1;
+
+function jsonPriority(priority) {
+  return priority?.priority || null;
+}
+
+function jsonStatusChange(statusChange) {
+  if (!statusChange) return null;
+  return {
+    oldStatus: statusChange.oldStatus || null,
+    newStatus: statusChange.newStatus,
+    changeTime: statusChange.changeTime || null,
+  };
+}
+
+function jsonStatusHistory(summary) {
+  if (!summary) return null;
+  return {
+    transitions: summary.transitions,
+    timeInStatusMs: summary.timeInStatus,
+    regressions: summary.regressions,
+  };
+}
+
+function jsonTask(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    url: task.url,
+    priority: jsonPriority(task.priority),
+    initials: task.initials,
+    listName: task.listName,
+    note: task.note,
+  };
+}
+
+function jsonDates(item, status, now) {
+  return {
+    startDate: item.startDate,
+    dueDate: item.dueDate,
+    startDateHistory: item.startDateHistory || [],
+    dueDateHistory: item.dueDateHistory || [],
+    overdue: isOverdue(item.dueDate, status, now),
+  };
+}
+
+function jsonMilestone(milestone, now) {
+  return {
+    id: milestone.id,
+    name: milestone.name,
+    url: milestone.url,
+    status: milestone.status || null,
+    initials: milestone.initials,
+    ...jsonDates(milestone, milestone.status, now),
+    statusChange: jsonStatusChange(milestone.statusChange),
+    recentChanges: milestone.recentChanges.map(change => ({
+      id: change.id,
+      name: change.name,
+      url: change.url,
+      statusChange: jsonStatusChange(change.statusChange),
+    })),
+  };
+}
+
+function generateJSON(report) {
+  const now = report.generatedAt;
+  const { spaceName, folderName, timezone } = getConfig();
+
+  const json = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: new Date(now).toISOString(),
+    reportDate: formatReportDate(now),
+    space: spaceName,
+    folder: folderName,
+    timezone,
+    activityWindow: {
+      since: new Date(getWorkdayCutoff(now)).toISOString(),
+      label: getActivityWindowLabel(now),
+    },
+    dataGaps: report.dataGaps || [],
+    completedTasks: report.completedTasks.map(task => ({
+      ...jsonTask(task),
+      startDate: task.startDate,
+      startDateHistory: task.startDateHistory || [],
+      completedDate: task.completedDate,
+      statusChange: jsonStatusChange(task.statusChange),
+      statusHistory: jsonStatusHistory(task.statusHistory),
+    })),
+    blockedTasks: report.blockedTasks.map(task => ({
+      ...jsonTask(task),
+      ...jsonDates(task, 'blocked', now),
+      statusChange: jsonStatusChange(task.statusChange),
+      statusHistory: jsonStatusHistory(task.statusHistory),
+    })),
+    taskUpdates: report.taskUpdates.map(task => ({
+      ...jsonTask(task),
+      status: task.status,
+      timeInStatusMs: task.timeInStatus,
+      ...jsonDates(task, task.status, now),
+      statusChange: jsonStatusChange(task.statusChange),
+      statusHistory: jsonStatusHistory(task.statusHistory),
+    })),
+    recentlyCreated: report.recentlyCreated.map(jsonTask),
+    featureUpdates: report.featureUpdates.map(feature => ({
+      id: feature.id,
+      name: feature.name,
+      status: feature.status,
+      initials: feature.initials,
+      originalSizing: feature.originalSizing,
+      sizingAfterPlanning: feature.sizingAfterPlanning,
+      originalSizingDays: feature.originalSizingDays,
+      sizingAfterPlanningDays: feature.sizingAfterPlanningDays,
+      dailyReportNote: feature.dailyReportNote || null,
+      ...jsonDates(feature, feature.status, now),
+      milestones: feature.milestones.map(milestone => jsonMilestone(milestone, now)),
+      progress: feature.progress,
+    })),
+  };
+
+  if (report.featureLint) json.featureLint = report.featureLint;
+
+  if (report.scheduleHealth) json.scheduleHealth = report.scheduleHealth;
+
+  if (report.staleWork) {
+    json.staleWork = report.staleWork.map(task => ({
+      id: task.id,
+      name: task.name,
+      url: task.url,
+      priority: jsonPriority(task.priority),
+      initials: task.initials,
+      listName: task.listName,
+      status: task.status,
+      timeInStatusMs: task.timeInStatus,
+      statusStale: task.statusStale,
+      lastActivity: task.lastActivity,
+      inactiveDays: task.inactiveDays,
+    }));
+  }
+
+  if (report.unownedWork) {
+    json.unownedWork = report.unownedWork.map(task => ({
+      id: task.id,
+      name: task.name,
+      url: task.url,
+      priority: jsonPriority(task.priority),
+      listName: task.listName,
+      feature: task.feature,
+      status: task.status,
+      owner: task.owner,
+      assignees: task.assignees,
+    }));
+  }
+
+  if (report.estimates) json.estimates = report.estimates;
+
+  if (report.flowMetrics) {
+    const metrics = report.flowMetrics;
+    json.flowMetrics = {
+      windowDays: metrics.windowDays,
+      since: new Date(metrics.since).toISOString(),
+      overall: metrics.overall,
+      byList: metrics.byList,
+      byEngineer: metrics.byEngineer,
+      timeInStatus: metrics.timeInStatus,
+    };
+  }
+
+  if (report.engineers) {
+    const ids = tasks => tasks.map(task => task.id);
+    json.engineers = report.engineers.map(engineer => ({
+      name: engineer.name,
+      initials: engineer.initials,
+      completed: ids(engineer.completed),
+      blocked: ids(engineer.blocked),
+      inProgress: ids(engineer.inProgress),
+      overdue: ids(engineer.overdue),
+    }));
+  }
+
+  return JSON.stringify(json, null, 2) + '\n';
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  generateJSON,
+};
@@ -0,0 +1,399 @@
+const {
+  formatDate,
+  formatReportDate,
+  getActivityWindowLabel,
+  truncate,
+  isOverdue,
+  formatDuration,
+  isStale,
+  formatStatusHistory,
+  formatDays,
+  formatProgress,
+  formatEstimate,
+  formatEstimateTrend,
+  PRIORITY_LEVELS,
+} = require('./helpers');
+
+// ─── Text Flavors ────────────────────────────────────────────────────────────
+
+// Each flavor knows how to mark up the few inline styles the report uses.
+// Section structure is shared, so all three read the same top to bottom.
+
+function escapeSlack(str) {
+  if (!str) return '';
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(str) {
+  if (!str) return '';
+  return str.replace(/([\\`*_[\]~<>|])/g, '\\$1');
+}
+
+const FLAVORS = {
+  slack: {
+    escape: escapeSlack,
+    title: text => `*${text}*`,
+    heading: text => `*${text}*`,
+    bold: text => `*${text}*`,
+    italic: text => `_${text}_`,
+    link: (text, url) => `<${url}|${text}>`,
+    slipped: (current, history) => `${history.map(d => `~${d}~`).join(' ')} *${current}*`,
+    item: (text, depth) => `${'    '.repeat(depth)}${depth === 0 ? '• ' : ''}${text}`,
+    arrow: '→',
+  },
+  markdown: {
+    escape: escapeMarkdown,
+    title: text => `# ${text}`,
+    heading: text => `## ${text}`,
+    bold: text => `**${text}**`,
+    italic: text => `_${text}_`,
+    link: (text, url) => `[${text}](${url})`,
+    slipped: (current, history) => `${history.map(d => `~~${d}~~`).join(' ')} **${current}**`,
+    item: (text, depth) => `${'  '.repeat(depth)}- ${text}`,
+    arrow: '→',
+  },
+  text: {
+    escape: str => str || '',
+    title: text => text,
+    heading: text => text.toUpperCase(),
+    bold: text => text,
+    italic: text => text,
+    link: (text, url) => `${text} (${url})`,
+    slipped: (current, history) => `${current} (was ${history.join(', ')})`,
+    item: (text, depth) => `${'    '.repeat(depth)}${depth === 0 ? '- ' : ''}${text}`,
+    arrow: '->',
+  },
+};
+
+// ─── Inline Pieces ───────────────────────────────────────────────────────────
+
+function textTaskName(f, name, url, priority) {
+  const bold = f.bold(f.escape(name));
+  return (url ? f.link(bold, url) : bold) + textPriority(f, priority);
+}
+
+function textPriority(f, priority) {
+  const level = (priority?.priority || '').toLowerCase();
+  return PRIORITY_LEVELS.includes(level) ? ` [${f.escape(level)}]` : '';
+}
+
+function textInitials(f, initials) {
+  return initials && initials.length > 0 ? ` (${f.escape(initials.join(', '))})` : '';
+}
+
+function textDateWithChange(f, currentDate, history) {
+  if (!history || history.length === 0) return f.escape(currentDate);
+  return f.slipped(f.escape(currentDate), history.map(f.escape));
+}
+
+function textDueDate(f, currentDate, history, status, now) {
+  const date = textDateWithChange(f, currentDate, history);
+  return isOverdue(currentDate, status, now) ? `${date} ${f.bold('(overdue)')}` : date;
+}
+
+function textStatusWithDuration(f, status, durationMs) {
+  const dur = formatDuration(durationMs);
+  if (!dur) return f.escape(status);
+  return isStale(status, durationMs) ? `${f.escape(status)} ${f.bold(`(${dur}, stale)`)}` : `${f.escape(status)} (${dur})`;
+}
+
+function textStatusChange(f, statusChange) {
+  if (!statusChange.oldStatus) return f.escape(statusChange.newStatus);
+  return `${f.escape(statusChange.oldStatus)} ${f.arrow} ${f.escape(statusChange.newStatus)}`;
+}
+
+function textStatusHistory(f, summary) {
+  const text = formatStatusHistory(summary, f.arrow);
+  return text ? f.item(`History: ${f.escape(text)}`, 1) : null;
+}
+
+function textNote(f, note, maxLen = 300) {
+  return f.item(`Notes: ${f.escape(maxLen ? truncate(note, maxLen) : note)}`, 1);
+}
+
+// ─── Text Generation ─────────────────────────────────────────────────────────
+
+function section(key, title, items, emptyText, renderItem) {
+  return {
+    key,
+    title,
+    emptyText,
+    items: items.map(item => {
+      const lines = [];
+      renderItem(item, lines);
+      return lines;
+    }),
+  };
+}
+
+function textFeatureProgress(f, feature, now) {
+  const { progress } = feature;
+  const lines = [];
+  const summary = formatProgress(progress);
+  if (summary) lines.push(f.item(`Progress: ${summary}`, 1));
+  if (progress.statusCounts.length > 0) {
+    lines.push(f.item(`Tasks by status: ${progress.statusCounts.map(s => `${f.escape(s.status)} ${s.count}`).join(', ')}`, 1));
+  }
+  const points = progress.burndown?.points || [];
+  if (points.length > 1) {
+    lines.push(f.item(`Open tasks: ${points[0].remaining} ${f.arrow} ${points[points.length - 1].remaining} since ${f.escape(points[0].date)}`, 1));
+  }
+  const milestones = feature.milestones.filter(m => m.id);
+  if (milestones.length > 0) {
+    lines.push(f.item('Milestones', 1));
+    for (const m of milestones) {
+      lines.push(f.item(`${f.escape(m.name)} | ${f.escape(m.status)} | Due: ${textDueDate(f, m.dueDate, m.dueDateHistory, m.status, now)}`, 2));
+    }
+  }
+  return lines;
+}
+
+// Renders each section's items as lines of text, one array of lines per item so
+// callers that need to split the report (e.g. Slack blocks) never split an item.
+function buildTextSections(report, flavor) {
+  const f = FLAVORS[flavor];
+  if (!f) throw new Error(`Unknown text flavor "${flavor}"`);
+  const { completedTasks, blockedTasks, taskUpdates, recentlyCreated, featureUpdates, generatedAt: now } = report;
+
+  const sections = [
+    section('completed', 'Completed Tasks', completedTasks, `No tasks completed ${getActivityWindowLabel(now)}.`, (task, lines) => {
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | Completed: ${f.escape(task.completedDate)}`, 0));
+      if (task.note) lines.push(textNote(f, task.note));
+    }),
+
+    section('blocked', 'Blocked Tasks', blockedTasks, 'No blocked tasks.', (task, lines) => {
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${f.escape(task.listName)} | Start: ${textDateWithChange(f, task.startDate, task.startDateHistory)} | Due: ${textDueDate(f, task.dueDate, task.dueDateHistory, 'blocked', now)}`, 0));
+      if (task.statusChange) lines.push(f.item(`Status Change: ${textStatusChange(f, task.statusChange)}`, 1));
+      if (textStatusHistory(f, task.statusHistory)) lines.push(textStatusHistory(f, task.statusHistory));
+      if (task.note) lines.push(textNote(f, task.note));
+    }),
+
+    section('taskUpdates', 'Task Updates', taskUpdates, 'No task updates.', (task, lines) => {
+      const status = task.timeInStatus != null ? textStatusWithDuration(f, task.status, task.timeInStatus) : f.escape(task.status);
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${status} | ${f.escape(task.listName)} | Start: ${textDateWithChange(f, task.startDate, task.startDateHistory)} | Due: ${textDueDate(f, task.dueDate, task.dueDateHistory, task.status, now)}`, 0));
+      if (task.statusChange) lines.push(f.item(`Status Change: ${textStatusChange(f, task.statusChange)}`, 1));
+      if (textStatusHistory(f, task.statusHistory)) lines.push(textStatusHistory(f, task.statusHistory));
+      if (task.note) lines.push(textNote(f, task.note));
+    }),
+
+    section('recentlyCreated', 'Recently Created Tasks', recentlyCreated, `No tasks created ${getActivityWindowLabel(now)}.`, (task, lines) => {
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${f.escape(task.listName)}`, 0));
+      if (task.note) lines.push(textNote(f, task.note));
+    }),
+
+    section('features', 'Feature Updates', featureUpdates, 'No feature updates.', (feature, lines) => {
+      const segments = [];
+      if (feature.startDate && feature.startDate !== 'TBD') {
+        segments.push(`Start: ${textDateWithChange(f, feature.startDate, feature.startDateHistory)}`);
+      }
+      if (feature.dueDate && feature.dueDate !== 'TBD') {
+        segments.push(`Due: ${textDueDate(f, feature.dueDate, feature.dueDateHistory, feature.status, now)}`);
+      }
+      const dateParts = segments.length > 0 ? ' | ' + segments.join(' | ') : '';
+      lines.push(f.item(`${f.bold(f.escape(feature.name))}${textInitials(f, feature.initials)}${dateParts}`, 0));
+      lines.push(f.item(`Status: ${f.escape(feature.status)}`, 1));
+      if (feature.progress) lines.push(...textFeatureProgress(f, feature, now));
+
+      for (const milestone of feature.milestones) {
+        if (milestone.recentChanges.length === 0) continue;
+        lines.push(f.item(f.italic(f.escape(milestone.name)) + textPriority(f, milestone.priority), 1));
+        for (const change of milestone.recentChanges) {
+          lines.push(f.item(`${textTaskName(f, change.name, change.url)} | Status: ${textStatusChange(f, change.statusChange)}`, 2));
+        }
+      }
+
+      if (feature.dailyReportNote) lines.push(textNote(f, feature.dailyReportNote, null));
+    }),
+  ];
+
+  if (report.featureLint && report.featureLint.length > 0) {
+    sections.push(section('featureLint', 'Feature Description Problems', report.featureLint, '', (entry, lines) => {
+      lines.push(f.item(`${f.bold(f.escape(entry.name))}: ${f.escape(entry.problems.join('; '))}`, 0));
+    }));
+  }
+
+  if (report.scheduleHealth) {
+    sections.push(section('scheduleHealth', 'Schedule Health', report.scheduleHealth, 'No slipped due dates.', (entry, lines) => {
+      const label = entry.kind === 'feature' ? 'Feature' : entry.kind === 'milestone' ? `Milestone in ${entry.feature}` : 'Task';
+      const days = entry.daysSlipped != null ? `, +${entry.daysSlipped} days` : '';
+      const again = entry.slippedThisWindow ? ` ${f.bold('(slipped again)')}` : '';
+      lines.push(f.item(`${textTaskName(f, entry.name, entry.url)} (${f.escape(label)}) | ${entry.slips} slip${entry.slips === 1 ? '' : 's'}${days} | Due: ${textDateWithChange(f, entry.dueDate, entry.dueDateHistory)}${again}`, 0));
+    }));
+  }
+
+  if (report.staleWork) {
+    sections.push(section('staleWork', 'Stale Work', report.staleWork, 'No stale work.', (task, lines) => {
+      const status = task.timeInStatus != null ? textStatusWithDuration(f, task.status, task.timeInStatus) : f.escape(task.status);
+      const activity = task.inactiveDays != null
+        ? `Last activity: ${f.escape(task.lastActivity)} (${task.inactiveDays}d ago)`
+        : 'No recorded activity';
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${status} | ${f.escape(task.listName)} | ${activity}`, 0));
+    }));
+  }
+
+  if (report.unownedWork) {
+    sections.push(section('unownedWork', 'Unowned Work', report.unownedWork, 'All in-flight work has an owner on the team.', (task, lines) => {
+      const where = task.feature ? `Feature: ${f.escape(task.feature)}` : f.escape(task.listName);
+      const owner = task.owner === 'unassigned' ? f.bold('Unassigned') : `Assigned outside the team: ${f.escape(task.assignees.join(', '))}`;
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)} | ${f.escape(task.status)} | ${where} | ${owner}`, 0));
+    }));
+  }
+
+  if (report.estimates) {
+    const { features, trend } = report.estimates;
+    // A null feature marks the trend line
+    const items = features.length > 0 && trend.completed > 0 ? [null, ...features] : features;
+    sections.push(section('estimates', 'Estimates vs Actuals', items, 'No v1.5 features with both a start date and a sizing.', (entry, lines) => {
+      if (!entry) {
+        lines.push(f.item(f.bold(f.escape(formatEstimateTrend(trend, f.arrow))), 0));
+        return;
+      }
+      lines.push(f.item(`${f.bold(f.escape(entry.name))} | ${f.escape(formatEstimate(entry))}`, 0));
+    }));
+  }
+
+  if (report.flowMetrics) {
+    const metrics = report.flowMetrics;
+    const stats = s => (s.count > 0 ? `${formatDays(s.median)} median, ${formatDays(s.p85)} p85` : 'n/a');
+    const flow = group => `cycle ${stats(group.cycleTime)} | lead ${stats(group.leadTime)} | ${group.count} task${group.count === 1 ? '' : 's'}`;
+    // Each item is a heading with its rows; groups with no rows are left out.
+    // A null heading marks the overall line.
+    const groups = metrics.overall.count === 0 ? [] : [
+      [null, [flow(metrics.overall)]],
+      ['By list', metrics.byList.map(list => `${f.escape(list.name)}: ${flow(list)}`)],
+      ['By engineer', metrics.byEngineer.map(engineer => `${f.escape(engineer.name)}: ${flow(engineer)}`)],
+      ['Where time goes', metrics.timeInStatus.map(s => `${f.escape(s.status)}: ${Math.round(s.share * 100)}% (${formatDays(s.totalMs)})`)],
+    ].filter(([, rows]) => rows.length > 0);
+    const emptyText = `No tasks completed in the last ${metrics.windowDays} days.`;
+    sections.push(section('metrics', 'Flow Metrics', groups, emptyText, ([heading, rows], lines) => {
+      if (!heading) {
+        lines.push(f.item(`${f.bold(`Overall (last ${metrics.windowDays} days)`)}: ${rows[0]}`, 0));
+        return;
+      }
+      lines.push(f.item(f.bold(heading), 0));
+      for (const row of rows) lines.push(f.item(row, 1));
+    }));
+  }
+
+  if (report.engineers) {
+    sections.push(section('engineers', 'By Engineer', report.engineers, 'No team members configured.', (engineer, lines) => {
+      lines.push(f.item(`${f.bold(f.escape(engineer.name))} (${f.escape(engineer.initials)})`, 0));
+      const groups = [
+        ['Completed', engineer.completed, task => `Completed: ${f.escape(task.completedDate)}`],
+        ['Blocked', engineer.blocked, task => `${f.escape(task.listName)} | Due: ${textDueDate(f, task.dueDate, task.dueDateHistory, 'blocked', now)}`],
+        ['In Progress', engineer.inProgress, task => `${f.escape(task.status)} | ${f.escape(task.listName)} | Due: ${textDueDate(f, task.dueDate, task.dueDateHistory, task.status, now)}`],
+        ['Overdue', engineer.overdue, task => `Due: ${f.escape(task.dueDate)}`],
+      ];
+      if (groups.every(([, tasks]) => tasks.length === 0)) {
+        lines.push(f.item(f.italic('No tracked activity.'), 1));
+        return;
+      }
+      for (const [label, tasks, details] of groups) {
+        if (tasks.length === 0) continue;
+        lines.push(f.item(f.italic(`${label} (${tasks.length})`), 1));
+        for (const task of tasks) {
+          lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)} | ${details(task)}`, 2));
+          // Overdue tasks already appear with their note under Blocked or In Progress
+          if (task.note && label !== 'Overdue') lines.push(f.item(`Notes: ${f.escape(truncate(task.note, 300))}`, 3));
+        }
+      }
+    }));
+  }
+
+  return sections;
+}
+
+function dataGapBanner(report, flavor) {
+  if (!report.dataGaps || report.dataGaps.length === 0) return null;
+  const f = FLAVORS[flavor];
+  return `${f.bold('Data incomplete:')} ${f.escape(report.dataGaps.join('; '))}. Notes and time in status may be missing.`;
+}
+
+// Renders the same sections as generateHTML. `flavor` is 'slack' (Slack mrkdwn),
+// 'markdown' (GitHub-flavored) or 'text' (plain text for email).
+function generateText(report, flavor) {
+  const sections = buildTextSections(report, flavor);
+  const f = FLAVORS[flavor];
+  const lines = [f.title('Daily Activity Report'), formatReportDate(report.generatedAt)];
+  const banner = dataGapBanner(report, flavor);
+  if (banner) lines.push('', banner);
+
+  for (const section of sections) {
+    lines.push('', f.heading(section.title));
+    if (section.items.length === 0) lines.push(f.italic(section.emptyText));
+    for (const itemLines of section.items) lines.push(...itemLines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ─── Period Summary ──────────────────────────────────────────────────────────
+
+const SLIP_KINDS = { feature: 'Feature', milestone: 'Milestone', task: 'Task' };
+
+function summaryPeriodLabel(summary) {
+  return `${formatDate(summary.since)} – ${formatDate(summary.until)}`;
+}
+
+function textCountChange(f, label, count) {
+  if (count.change == null) return `${label}: ${count.end}`;
+  const sign = count.change > 0 ? '+' : '';
+  return `${label}: ${count.start} ${f.arrow} ${count.end} (${sign}${count.change})`;
+}
+
+function buildSummarySections(summary, flavor) {
+  const f = FLAVORS[flavor];
+  if (!f) throw new Error(`Unknown text flavor "${flavor}"`);
+  const { counts } = summary;
+
+  const baseline = counts.baselineDate
+    ? `Compared with the ${counts.baselineDate} report.`
+    : 'No archived report from before the period to compare with.';
+
+  return [
+    section('counts', 'Blocked and Overdue', [counts], '', (c, lines) => {
+      lines.push(f.item(textCountChange(f, 'Blocked', c.blocked), 0));
+      lines.push(f.item(textCountChange(f, 'Overdue', c.overdue), 0));
+      lines.push(f.item(f.italic(baseline), 1));
+    }),
+
+    section('completed', 'Completed', summary.completed, 'No tasks completed in this period.', (task, lines) => {
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${f.escape(task.listName)} | Completed: ${f.escape(task.completedDate)}`, 0));
+    }),
+
+    section('created', 'Created', summary.created, 'No tasks created in this period.', (task, lines) => {
+      lines.push(f.item(`${textTaskName(f, task.name, task.url, task.priority)}${textInitials(f, task.initials)} | ${f.escape(task.listName)} | Created: ${f.escape(task.createdDate)}`, 0));
+    }),
+
+    section('featureChanges', 'Feature Status Changes', summary.featureChanges, 'No feature status changes.', (change, lines) => {
+      lines.push(f.item(`${f.bold(f.escape(change.name))}: ${f.escape(change.from)} ${f.arrow} ${f.escape(change.to)} (${f.escape(change.changedDate)})`, 0));
+    }),
+
+    section('slips', 'Date Slips', summary.slips, 'No due dates moved.', (slip, lines) => {
+      lines.push(f.item(`${textTaskName(f, slip.name, slip.url)} (${SLIP_KINDS[slip.kind]}) | Due: ${f.escape(slip.from)} ${f.arrow} ${f.escape(slip.to)} (${f.escape(slip.changedDate)})`, 0));
+    }),
+  ];
+}
+
+function generateSummaryText(summary, flavor) {
+  const f = FLAVORS[flavor];
+  const lines = [f.title(summary.title), summaryPeriodLabel(summary)];
+
+  for (const section of buildSummarySections(summary, flavor)) {
+    lines.push('', f.heading(section.title));
+    if (section.items.length === 0) lines.push(f.italic(section.emptyText));
+    for (const itemLines of section.items) lines.push(...itemLines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  TEXT_FLAVORS: Object.keys(FLAVORS),
+  buildTextSections,
+  dataGapBanner,
+  generateText,
+  summaryPeriodLabel,
+  buildSummarySections,
+  generateSummaryText,
+};
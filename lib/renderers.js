@@ -0,0 +1,42 @@
+const { generateHTML, generateSummaryHTML } = require('./render-html');
+const { generateText, generateSummaryText } = require('./render-text');
+
+// Output formats selectable with --format. Every renderer takes the same report
+// object: { generatedAt, completedTasks, blockedTasks, taskUpdates, recentlyCreated,
+// featureUpdates, dataGaps } plus optional sections such as `engineers`.
+// renderSummary takes the --period summary from lib/summary instead.
+const RENDERERS = {
+  html: {
+    extension: '.html',
+    render: report => generateHTML(report),
+    renderSummary: summary => generateSummaryHTML(summary),
+  },
+  slack: {
+    extension: '.slack.txt',
+    render: report => generateText(report, 'slack'),
+    renderSummary: summary => generateSummaryText(summary, 'slack'),
+  },
+  markdown: {
+    extension: '.md',
+    render: report => generateText(report, 'markdown'),
+    renderSummary: summary => generateSummaryText(summary, 'markdown'),
+  },
+  text: {
+    extension: '.txt',
+    render: report => generateText(report, 'text'),
+    renderSummary: summary => generateSummaryText(summary, 'text'),
+  },
+};
+
+function getRenderer(format) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unknown --format "${format}". Expected one of: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+  return renderer;
+}
+
+module.exports = {
+  OUTPUT_FORMATS: Object.keys(RENDERERS),
+  getRenderer,
+};
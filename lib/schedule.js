@@ -0,0 +1,67 @@
+// ─── Schedule Health ─────────────────────────────────────────────────────────
+
+// Ranks features, milestones and open tasks by how often their due date has
+// moved. The histories come from feature-dates.json, and an item slipped in
+// this report's window when one of its logged due date changes falls inside it.
+
+const { getWorkdayCutoff } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Total days the due date was pushed out, summed over every forward move so a
+// pull-in does not hide an earlier slip. TBD dates are skipped; null when
+// fewer than two dates are known.
+function daysSlipped(dueDate, dueDateHistory) {
+  const dates = [...dueDateHistory, dueDate].map(date => Date.parse(date)).filter(time => !isNaN(time));
+  if (dates.length < 2) return null;
+  let total = 0;
+  for (let i = 1; i < dates.length; i++) total += Math.max(0, dates[i] - dates[i - 1]);
+  return Math.round(total / DAY);
+}
+
+function slippedSince(changes, cutoff) {
+  return (changes || []).some(change => Date.parse(change.at) >= cutoff);
+}
+
+// `dateSnapshot` is the date snapshot after the builders have logged this
+// run's due date changes
+function buildScheduleHealth(report, dateSnapshot, now) {
+  const cutoff = getWorkdayCutoff(now);
+  const candidates = [];
+  for (const feature of report.featureUpdates) {
+    candidates.push({ kind: 'feature', key: `feature_${feature.id}`, item: feature, feature: null });
+    for (const milestone of feature.milestones) {
+      if (milestone.id) candidates.push({ kind: 'milestone', key: milestone.id, item: milestone, feature: feature.name });
+    }
+  }
+  const seen = new Set(candidates.map(c => c.key));
+  for (const task of [...report.blockedTasks, ...report.taskUpdates]) {
+    if (seen.has(task.id)) continue;
+    seen.add(task.id);
+    candidates.push({ kind: 'task', key: task.id, item: task, feature: null });
+  }
+
+  const entries = candidates
+    .filter(({ item }) => item.dueDateHistory && item.dueDateHistory.length > 0)
+    .map(({ kind, key, item, feature }) => ({
+      id: item.id,
+      kind,
+      name: item.name,
+      url: item.url || null,
+      feature,
+      dueDate: item.dueDate,
+      dueDateHistory: item.dueDateHistory,
+      slips: item.dueDateHistory.length,
+      daysSlipped: daysSlipped(item.dueDate, item.dueDateHistory),
+      slippedThisWindow: slippedSince(dateSnapshot[key]?.dueDateChanges, cutoff),
+    }));
+
+  entries.sort((a, b) => b.slips - a.slips || (b.daysSlipped ?? 0) - (a.daysSlipped ?? 0) || a.name.localeCompare(b.name));
+  console.log(`  Schedule health: ${entries.length} items with slipped due dates`);
+  return entries;
+}
+
+module.exports = {
+  daysSlipped,
+  buildScheduleHealth,
+};
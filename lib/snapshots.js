@@ -0,0 +1,158 @@
+const path = require('path');
+const fs = require('fs');
+const { getConfig } = require('./config');
+
+const SNAPSHOT_PATH = path.join(__dirname, '..', 'feature-dates.json');
+const STATUS_SNAPSHOT_PATH = path.join(__dirname, '..', 'status-timestamps.json');
+
+// With `now`, each due date change is also logged in `dueDateChanges` as
+// { from, to, at } so summaries can tell when it slipped. Completed tasks are
+// tracked against their completion date and pass no `now`.
+function trackDateChanges(taskId, currentStartDate, currentDueDate, dateSnapshot, now = null) {
+  const prev = dateSnapshot[taskId] || {};
+  const prevStartDate = prev.startDate || null;
+  const prevDueDate = prev.dueDate || null;
+  const startHistory = prev.startDateHistory || [];
+  const dueHistory = prev.dueDateHistory || [];
+
+  const startChanged = prevStartDate && prevStartDate !== currentStartDate && prevStartDate !== 'TBD';
+  const dueChanged = prevDueDate && prevDueDate !== currentDueDate && prevDueDate !== 'TBD';
+
+  const newStartHistory = startChanged ? [...startHistory, prevStartDate] : startHistory;
+  const newDueHistory = dueChanged ? [...dueHistory, prevDueDate] : dueHistory;
+
+  dateSnapshot[taskId] = {
+    startDate: currentStartDate,
+    dueDate: currentDueDate,
+    startDateHistory: newStartHistory,
+    dueDateHistory: newDueHistory,
+  };
+  const dueDateChanges = prev.dueDateChanges || [];
+  if (dueChanged && now != null) {
+    dateSnapshot[taskId].dueDateChanges = [...dueDateChanges, { from: prevDueDate, to: currentDueDate, at: new Date(now).toISOString() }];
+  } else if (dueDateChanges.length > 0) {
+    dateSnapshot[taskId].dueDateChanges = dueDateChanges;
+  }
+
+  return {
+    startDateHistory: newStartHistory,
+    dueDateHistory: newDueHistory,
+  };
+}
+
+// ─── Snapshot Tracking ───────────────────────────────────────────────────────
+
+function loadDateSnapshot(filePath = SNAPSHOT_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveDateSnapshot(snapshot) {
+  const tmp = SNAPSHOT_PATH + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(tmp, SNAPSHOT_PATH);
+}
+
+function loadStatusSnapshot(filePath = STATUS_SNAPSHOT_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveStatusSnapshot(snapshot) {
+  const tmp = STATUS_SNAPSHOT_PATH + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(tmp, STATUS_SNAPSHOT_PATH);
+}
+
+// ─── Status History ──────────────────────────────────────────────────────────
+
+// Entries keep `status`, `since` and `previousStatus` for older readers, plus an
+// append-only `history` of { status, since }, oldest first. Entries written
+// before history existed read as their current status, preceded by the
+// previous status (if any) from an unknown time.
+function statusHistory(entry) {
+  if (!entry) return [];
+  if (entry.history) return entry.history;
+  const history = [];
+  if (entry.previousStatus) history.push({ status: entry.previousStatus, since: null });
+  history.push({ status: entry.status, since: entry.since });
+  return history;
+}
+
+// Transition count, time per status (ms, from the first run that saw each
+// status) and moves back to an earlier workflow status, as of `now`.
+function summarizeStatusHistory(entry, now) {
+  const history = statusHistory(entry).filter(step => !step.since || Date.parse(step.since) <= now);
+  const order = getConfig().workflowStatuses;
+  const timeInStatus = {};
+  const regressions = [];
+
+  history.forEach((step, i) => {
+    const status = step.status.toLowerCase();
+    if (step.since) {
+      const end = i + 1 < history.length ? Date.parse(history[i + 1].since) : now;
+      timeInStatus[status] = (timeInStatus[status] || 0) + (end - Date.parse(step.since));
+    }
+    if (i === 0) return;
+    const prev = history[i - 1].status.toLowerCase();
+    if (order.includes(prev) && order.includes(status) && order.indexOf(status) < order.indexOf(prev)) {
+      regressions.push({ from: prev, to: status, at: step.since });
+    }
+  });
+
+  return { transitions: Math.max(0, history.length - 1), timeInStatus, regressions };
+}
+
+// Shared map to store all detected status changes so they can be looked up by later functions
+const allStatusChanges = new Map();
+
+function detectStatusChange(task, statusSnapshot, now) {
+  const since = new Date(now).toISOString();
+  const currentStatus = task.status?.status || '';
+  const prev = statusSnapshot[task.id];
+
+  if (!prev) {
+    // First time seeing this task — seed the snapshot
+    statusSnapshot[task.id] = { status: currentStatus, since, history: [{ status: currentStatus, since }] };
+    return null;
+  }
+
+  if (prev.status === currentStatus) return null;
+
+  const changeTime = task.date_updated
+    ? new Date(parseInt(task.date_updated)).toLocaleString('en-US', {
+        timeZone: getConfig().timezone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true,
+      })
+    : null;
+
+  // Update snapshot to current status, preserving the previous status for cross-run lookups
+  statusSnapshot[task.id] = {
+    status: currentStatus,
+    since,
+    previousStatus: prev.status,
+    history: [...statusHistory(prev), { status: currentStatus, since }],
+  };
+  const change = { oldStatus: prev.status, newStatus: currentStatus, changeTime };
+  allStatusChanges.set(task.id, change);
+  return change;
+}
+
+module.exports = {
+  SNAPSHOT_PATH,
+  STATUS_SNAPSHOT_PATH,
+  trackDateChanges,
+  loadDateSnapshot,
+  saveDateSnapshot,
+  loadStatusSnapshot,
+  saveStatusSnapshot,
+  allStatusChanges,
+  detectStatusChange,
+  statusHistory,
+  summarizeStatusHistory,
+};
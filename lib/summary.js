@@ -0,0 +1,180 @@
+const { getConfig } = require('./config');
+const { archiveDate, reportSummary } = require('./archive');
+const { formatDate, isV15List, startOfDay, memberInitials, matchedMembers, sortTasks } = require('./helpers');
+const { statusHistory } = require('./snapshots');
+
+// ─── Period Summary ──────────────────────────────────────────────────────────
+
+// A summary of a date range (--period) instead of the daily window: what was
+// completed and created, how the blocked and overdue counts moved, and which
+// features changed status or slipped. Counts at the start of the range come
+// from the archived daily report for that day.
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIODS = ['week', 'sprint', 'custom'];
+const PERIOD_TITLES = { week: 'Weekly Summary', sprint: 'Sprint Summary', custom: 'Activity Summary' };
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+}
+
+// Start of the range ending at `now`. A week is the report day and the six
+// before it; a sprint starts on a multiple of sprintLengthDays after
+// sprintStartDate; custom ranges start at --from.
+function periodStart(period, from, now) {
+  const today = archiveDate(now);
+  if (period === 'week') return startOfDay(addDays(today, -6));
+
+  if (period === 'sprint') {
+    const { sprintStartDate, sprintLengthDays } = getConfig();
+    if (!sprintStartDate) throw new Error('--period sprint needs "sprintStartDate" in the report config');
+    const elapsed = daysBetween(sprintStartDate, today);
+    if (elapsed < 0) throw new Error(`--period sprint: the first sprint starts on ${sprintStartDate}, after the report day`);
+    return startOfDay(addDays(sprintStartDate, elapsed - (elapsed % sprintLengthDays)));
+  }
+
+  if (!from) throw new Error('--period custom needs --from <date>');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from)) return startOfDay(from);
+  const ms = Date.parse(from);
+  if (isNaN(ms)) throw new Error(`Invalid --from value "${from}". Use YYYY-MM-DD or an ISO 8601 timestamp`);
+  return ms;
+}
+
+function resolvePeriod(period, from, now) {
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unknown --period "${period}". Expected one of: ${PERIODS.join(', ')}`);
+  }
+  const since = periodStart(period, from, now);
+  if (since >= now) throw new Error('The summary period must start before the report time');
+  return { period, title: PERIOD_TITLES[period], since, until: now };
+}
+
+function inRange(time, range) {
+  return !isNaN(time) && time >= range.since && time <= range.until;
+}
+
+function summaryTask(task, list) {
+  return {
+    id: task.id,
+    name: task.name,
+    url: task.url || null,
+    priority: task.priority || null,
+    initials: memberInitials(task),
+    members: matchedMembers(task),
+    listName: list.name,
+  };
+}
+
+function buildCompletedInPeriod(allTasksByList, range) {
+  const completed = [];
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      const closedOrDone = task.date_closed || task.date_done;
+      if (!inRange(parseInt(closedOrDone), range)) continue;
+      completed.push({ ...summaryTask(task, list), completedDate: formatDate(closedOrDone) });
+    }
+  }
+  return sortTasks(completed);
+}
+
+function buildCreatedInPeriod(allTasksByList, range) {
+  const created = [];
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      if (task.parent) continue;
+      if (!inRange(parseInt(task.date_created), range)) continue;
+      created.push({ ...summaryTask(task, list), createdDate: formatDate(task.date_created) });
+    }
+  }
+  return sortTasks(created);
+}
+
+// Blocked and overdue counts now, against the last archived report from on or
+// before the first day of the range
+function buildCountChanges(current, range, manifest) {
+  const firstDay = archiveDate(range.since);
+  const baselineDate = Object.keys(manifest).sort().reverse().find(date => date <= firstDay) || null;
+  const baseline = baselineDate ? manifest[baselineDate] : null;
+  const change = key => ({
+    start: baseline ? baseline[key] : null,
+    end: current[key],
+    change: baseline ? current[key] - baseline[key] : null,
+  });
+  return {
+    baselineDate: baseline ? baseline.reportDate : null,
+    blocked: change('blocked'),
+    overdue: change('overdue'),
+  };
+}
+
+// Status line changes recorded for each feature inside the range
+function buildFeatureStatusChanges(featureUpdates, statusSnapshot, range) {
+  const changes = [];
+  for (const feature of featureUpdates) {
+    const history = statusHistory(statusSnapshot[`feature_${feature.id}`]);
+    history.forEach((step, i) => {
+      if (i === 0 || !step.since || !inRange(Date.parse(step.since), range)) return;
+      changes.push({
+        id: feature.id,
+        name: feature.name,
+        from: history[i - 1].status,
+        to: step.status,
+        changedDate: formatDate(Date.parse(step.since)),
+      });
+    });
+  }
+  return changes;
+}
+
+// Due date changes logged inside the range, for features, milestones and tasks
+function buildSlipsInPeriod(allTasksByList, featureUpdates, dateSnapshot, range) {
+  const items = new Map();
+  for (const feature of featureUpdates) {
+    items.set(`feature_${feature.id}`, { kind: 'feature', id: feature.id, name: feature.name, url: null });
+  }
+  for (const { list, tasks } of allTasksByList) {
+    if (getConfig().excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      const kind = isV15List(list) && task.custom_item_id === 1 ? 'milestone' : 'task';
+      items.set(task.id, { kind, id: task.id, name: task.name, url: task.url || null });
+    }
+  }
+
+  const slips = [];
+  for (const [key, entry] of Object.entries(dateSnapshot)) {
+    const item = items.get(key);
+    if (!item) continue;
+    for (const change of entry.dueDateChanges || []) {
+      if (!inRange(Date.parse(change.at), range)) continue;
+      slips.push({ ...item, from: change.from, to: change.to, at: change.at, changedDate: formatDate(Date.parse(change.at)) });
+    }
+  }
+  return slips.sort((a, b) => a.at.localeCompare(b.at) || a.name.localeCompare(b.name));
+}
+
+// `current` holds the daily sections built this run (blocked tasks, task
+// updates, feature updates); `manifest` is the archive index.
+function buildPeriodSummary(range, { allTasksByList, statusSnapshot, dateSnapshot, current, manifest }) {
+  const counts = reportSummary({ generatedAt: range.until, completedTasks: [], ...current });
+  const summary = {
+    ...range,
+    completed: buildCompletedInPeriod(allTasksByList, range),
+    created: buildCreatedInPeriod(allTasksByList, range),
+    counts: buildCountChanges(counts, range, manifest),
+    featureChanges: buildFeatureStatusChanges(current.featureUpdates, statusSnapshot, range),
+    slips: buildSlipsInPeriod(allTasksByList, current.featureUpdates, dateSnapshot, range),
+  };
+  console.log(`  ${summary.title}: ${summary.completed.length} completed, ${summary.created.length} created, ${summary.slips.length} slips`);
+  return summary;
+}
+
+module.exports = {
+  resolvePeriod,
+  buildPeriodSummary,
+};
@@ -0,0 +1,63 @@
+const { getConfig } = require('./config');
+const { isTeamMember } = require('./helpers');
+
+// ─── Team Members ────────────────────────────────────────────────────────────
+
+// Fills in the ClickUp user id of members configured by name, from the
+// workspace members returned by /team. Returns the members and a warning for
+// each one that could not be resolved or is no longer in the workspace.
+function resolveTeamMembers(workspaceMembers) {
+  const users = workspaceMembers.map(m => m.user).filter(Boolean);
+  const warnings = [];
+
+  const members = getConfig().teamMembers.map(member => {
+    if (member.id) {
+      if (!users.some(u => String(u.id) === member.id)) {
+        warnings.push(`Team member "${member.name}" (ClickUp user ${member.id}) is not in the workspace`);
+      }
+      return member;
+    }
+
+    const name = member.name.toLowerCase();
+    const matches = users.filter(u => (u.username || '').toLowerCase() === name || (u.email || '').toLowerCase() === name);
+    if (matches.length !== 1) {
+      const problem = matches.length === 0 ? 'matches no workspace member' : 'matches several workspace members';
+      warnings.push(`Team member "${member.name}" ${problem}; add their ClickUp user id to teamMembers`);
+      return member;
+    }
+    return { ...member, id: String(matches[0].id) };
+  });
+
+  return { members, warnings };
+}
+
+// Assignees on tasks in the reported lists who are not team members, with the
+// number of tasks each is assigned to
+function findUnknownAssignees(allTasksByList) {
+  const { excludedLists, teamMembers } = getConfig();
+  const unknown = new Map();
+  for (const { list, tasks } of allTasksByList) {
+    if (excludedLists.includes(list.name.toLowerCase())) continue;
+    for (const task of tasks) {
+      for (const assignee of task.assignees || []) {
+        if (teamMembers.some(member => isTeamMember(member, assignee))) continue;
+        const key = String(assignee.id);
+        const entry = unknown.get(key) || { id: key, username: assignee.username || null, taskCount: 0 };
+        entry.taskCount++;
+        unknown.set(key, entry);
+      }
+    }
+  }
+  return [...unknown.values()].sort((a, b) => b.taskCount - a.taskCount);
+}
+
+function describeUnknownAssignee({ id, username, taskCount }) {
+  const who = username ? `"${username}" (ClickUp user ${id})` : `ClickUp user ${id}`;
+  return `${taskCount} task${taskCount === 1 ? '' : 's'} assigned to ${who}, who is not in teamMembers`;
+}
+
+module.exports = {
+  resolveTeamMembers,
+  findUnknownAssignees,
+  describeUnknownAssignee,
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { archiveDate, reportSummary, generateIndexHTML, archiveReport } = require('../lib/archive');
+const { DAY, WEDNESDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function makeReport(generatedAt) {
+  return {
+    generatedAt,
+    completedTasks: [{ id: 'c1' }, { id: 'c2' }],
+    blockedTasks: [
+      { id: 'b1', dueDate: 'Mar 1, 2026' },
+      { id: 'b2', dueDate: 'TBD' },
+    ],
+    taskUpdates: [
+      { id: 'b1', status: 'blocked', dueDate: 'Mar 1, 2026' },
+      { id: 'u1', status: 'in progress', dueDate: 'Mar 2, 2026' },
+      { id: 'u2', status: 'ready for deployment', dueDate: 'Mar 2, 2026' },
+      { id: 'u3', status: 'in progress', dueDate: 'Mar 10, 2026' },
+    ],
+    recentlyCreated: [],
+    featureUpdates: [],
+  };
+}
+
+test('archiveDate uses the report day in the configured timezone', () => {
+  assert.equal(archiveDate(WEDNESDAY), '2026-03-04');
+  assert.equal(archiveDate(Date.parse('2026-03-05T06:00:00Z')), '2026-03-04');
+});
+
+test('reportSummary counts each overdue task once', () => {
+  assert.deepEqual(reportSummary(makeReport(WEDNESDAY)), { completed: 2, blocked: 2, overdue: 2 });
+});
+
+test('archiveReport writes a dated page and an index of every archived day', t => {
+  const dir = tempDir(t);
+
+  archiveReport(makeReport(WEDNESDAY - DAY), '<html>tuesday</html>', dir);
+  const written = archiveReport(makeReport(WEDNESDAY), '<html>wednesday</html>', dir);
+
+  assert.equal(written, path.join(dir, '2026-03-04.html'));
+  assert.equal(fs.readFileSync(path.join(dir, '2026-03-03.html'), 'utf-8'), '<html>tuesday</html>');
+  assert.equal(fs.readFileSync(path.join(dir, '2026-03-04.html'), 'utf-8'), '<html>wednesday</html>');
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(manifest), ['2026-03-03', '2026-03-04']);
+  assert.deepEqual(manifest['2026-03-04'], { reportDate: 'March 4, 2026', completed: 2, blocked: 2, overdue: 2 });
+
+  const index = fs.readFileSync(path.join(dir, 'index.html'), 'utf-8');
+  assert.ok(index.indexOf('2026-03-04.html') < index.indexOf('2026-03-03.html'), 'newest report first');
+});
+
+test('archiveReport replaces the entry for a day that is generated twice', t => {
+  const dir = tempDir(t);
+  archiveReport(makeReport(WEDNESDAY - 2 * 60 * 60 * 1000), 'first', dir);
+  archiveReport({ ...makeReport(WEDNESDAY), completedTasks: [] }, 'second', dir);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(manifest), ['2026-03-04']);
+  assert.equal(manifest['2026-03-04'].completed, 0);
+  assert.equal(fs.readFileSync(path.join(dir, '2026-03-04.html'), 'utf-8'), 'second');
+});
+
+test('generateIndexHTML handles an empty archive', () => {
+  assert.match(generateIndexHTML({}), /No reports archived yet\./);
+});
@@ -0,0 +1,324 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const clickup = require('../lib/clickup');
+const {
+  buildCompletedTasks,
+  buildBlockedTasks,
+  buildTaskUpdates,
+  buildRecentlyCreatedTasks,
+  attachNotes,
+  buildFeatureUpdates,
+  buildEngineerSummaries,
+  buildStaleWork,
+  buildUnownedWork,
+} = require('../lib/builders');
+const { HOUR, DAY, WEDNESDAY, MONDAY, useTestConfig, makeTask, makeList } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(clickup, 'fetchCommentsForTasks', async () => new Map());
+});
+
+test('buildCompletedTasks keeps tasks closed inside the window and skips v1.5 and excluded lists', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'recent', status: 'complete', date_closed: WEDNESDAY - 2 * HOUR, assignees: ['Donald Ma'] }),
+      makeTask({ id: 'old', status: 'complete', date_closed: WEDNESDAY - 30 * HOUR }),
+      makeTask({ id: 'open', status: 'in progress' }),
+    ]),
+    makeList('v1.5 Search', [makeTask({ id: 'feature', status: 'complete', date_done: WEDNESDAY - HOUR })]),
+    makeList('Graveyard', [makeTask({ id: 'dead', status: 'complete', date_closed: WEDNESDAY - HOUR })]),
+  ];
+
+  const completed = buildCompletedTasks(allTasksByList, {}, {}, WEDNESDAY);
+
+  assert.deepEqual(completed.map(t => t.id), ['recent']);
+  assert.deepEqual(completed[0].initials, ['DM']);
+  assert.equal(completed[0].completedDate, 'Mar 4, 2026');
+});
+
+test('buildCompletedTasks reaches back to Friday on Monday', () => {
+  const fridayAfternoon = MONDAY - 2.8 * DAY;
+  const allTasksByList = [
+    makeList('Priority', [makeTask({ id: 'friday', status: 'complete', date_closed: fridayAfternoon })]),
+  ];
+
+  assert.equal(buildCompletedTasks(allTasksByList, {}, {}, MONDAY).length, 1);
+  assert.equal(buildCompletedTasks(allTasksByList, {}, {}, MONDAY - DAY).length, 0);
+});
+
+test('buildCompletedTasks leaves out tasks closed after the report time', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'before', status: 'complete', date_closed: WEDNESDAY - HOUR }),
+      makeTask({ id: 'after', status: 'complete', date_closed: WEDNESDAY + HOUR }),
+    ]),
+  ];
+
+  assert.deepEqual(buildCompletedTasks(allTasksByList, {}, {}, WEDNESDAY).map(t => t.id), ['before']);
+});
+
+test('buildBlockedTasks skips blocked subtasks unless their parent is blocked too', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'parent-blocked', status: 'blocked' }),
+      makeTask({ id: 'child-of-blocked', status: 'blocked', parent: 'parent-blocked' }),
+      makeTask({ id: 'parent-active', status: 'in progress' }),
+      makeTask({ id: 'child-of-active', status: 'Blocked', parent: 'parent-active' }),
+      makeTask({ id: 'not-blocked', status: 'in review' }),
+    ]),
+  ];
+
+  const blocked = buildBlockedTasks(allTasksByList, {}, {}, WEDNESDAY);
+
+  assert.deepEqual(blocked.map(t => t.id), ['parent-blocked', 'child-of-blocked']);
+});
+
+test('buildBlockedTasks carries date slips and status changes from the snapshots', () => {
+  const dateSnapshot = { b1: { startDate: 'TBD', dueDate: 'Mar 2, 2026' } };
+  const statusSnapshot = { b1: { status: 'in progress', since: '2026-03-01T00:00:00.000Z' } };
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'b1', status: 'blocked', due_date: Date.parse('2026-03-06T20:00:00Z'), date_updated: WEDNESDAY - HOUR }),
+    ]),
+  ];
+
+  const [task] = buildBlockedTasks(allTasksByList, statusSnapshot, dateSnapshot, WEDNESDAY);
+
+  assert.equal(task.dueDate, 'Mar 6, 2026');
+  assert.deepEqual(task.dueDateHistory, ['Mar 2, 2026']);
+  assert.equal(task.statusChange.oldStatus, 'in progress');
+  assert.equal(task.statusChange.newStatus, 'blocked');
+});
+
+test('buildTaskUpdates covers top-level tasks in configured lists, minus excluded statuses and completions', () => {
+  const allTasksByList = [
+    makeList('priority', [
+      makeTask({ id: 'active', status: 'in progress' }),
+      makeTask({ id: 'todo', status: 'To Do' }),
+      makeTask({ id: 'sub', status: 'in progress', parent: 'active' }),
+      makeTask({ id: 'done-today', status: 'in qa' }),
+    ]),
+    makeList('QA/Usability', [makeTask({ id: 'review', status: 'in review' })]),
+    makeList('Backlog', [makeTask({ id: 'elsewhere', status: 'in progress' })]),
+  ];
+
+  const updates = buildTaskUpdates(allTasksByList, {}, {}, new Set(['done-today']), WEDNESDAY);
+
+  assert.deepEqual(updates.map(t => t.id), ['active', 'review']);
+  assert.equal(updates[0].listName, 'priority');
+  assert.equal(updates[0].timeInStatus, null);
+});
+
+test('buildBlockedTasks puts urgent and soonest-due tasks first', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'later', status: 'blocked', priority: { priority: 'high' }, due_date: WEDNESDAY + 7 * DAY }),
+      makeTask({ id: 'unset', status: 'blocked' }),
+      makeTask({ id: 'urgent', status: 'blocked', priority: { priority: 'urgent', color: '#f50000' } }),
+      makeTask({ id: 'sooner', status: 'blocked', priority: { priority: 'high' }, due_date: WEDNESDAY + DAY }),
+    ]),
+  ];
+
+  assert.deepEqual(buildBlockedTasks(allTasksByList, {}, {}, WEDNESDAY).map(t => t.id), ['urgent', 'sooner', 'later', 'unset']);
+
+  useTestConfig({ sortOrder: [] });
+  assert.deepEqual(buildBlockedTasks(allTasksByList, {}, {}, WEDNESDAY).map(t => t.id), ['later', 'unset', 'urgent', 'sooner']);
+});
+
+test('buildRecentlyCreatedTasks only includes top-level tasks created inside the window', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'new', name: 'New', date_created: WEDNESDAY - 3 * HOUR }),
+      makeTask({ id: 'new-sub', date_created: WEDNESDAY - 3 * HOUR, parent: 'new' }),
+      makeTask({ id: 'old', date_created: WEDNESDAY - 3 * DAY }),
+    ]),
+    makeList('QA/Usability', [makeTask({ id: 'other-list', date_created: WEDNESDAY - HOUR })]),
+  ];
+
+  const created = buildRecentlyCreatedTasks(allTasksByList, WEDNESDAY);
+
+  assert.deepEqual(created.map(t => t.name), ['New']);
+});
+
+test('buildRecentlyCreatedTasks leaves out tasks created after the report time', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'before', date_created: WEDNESDAY - HOUR }),
+      makeTask({ id: 'after', date_created: WEDNESDAY + HOUR }),
+    ]),
+  ];
+
+  assert.deepEqual(buildRecentlyCreatedTasks(allTasksByList, WEDNESDAY).map(t => t.id), ['before']);
+});
+
+test('buildFeatureUpdates parses the list description and groups recent changes under milestones', () => {
+  const list = { id: 'L1', name: 'v1.5 Search' };
+  const detailedListMap = new Map([[
+    'L1',
+    {
+      id: 'L1',
+      content: 'Status: On track\nInitial Sizing: 10 days\nDaily Report Note: Demo Friday',
+      due_date: String(Date.parse('2026-03-20T20:00:00Z')),
+    },
+  ]]);
+  const statusSnapshot = {
+    s1: { status: 'in progress', since: '2026-03-01T00:00:00.000Z' },
+    s2: { status: 'in review', since: new Date(WEDNESDAY - 5 * HOUR).toISOString(), previousStatus: 'in progress' },
+    s3: { status: 'to do', since: '2026-03-01T00:00:00.000Z' },
+  };
+  const tasks = [
+    makeTask({ id: 'm1', name: 'Milestone', custom_item_id: 1, status: 'in progress', assignees: ['Alex Fex'] }),
+    makeTask({ id: 's1', name: 'Sub one', parent: 'm1', status: 'in review', date_updated: WEDNESDAY - HOUR }),
+    makeTask({ id: 's2', name: 'Loose', status: 'in review', date_updated: WEDNESDAY - 5 * HOUR }),
+    makeTask({ id: 's3', name: 'Untouched', parent: 'm1', status: 'to do', date_updated: WEDNESDAY - HOUR }),
+  ];
+
+  const [feature] = buildFeatureUpdates([{ list, tasks }], detailedListMap, {}, statusSnapshot, WEDNESDAY);
+
+  assert.equal(feature.name, 'Search');
+  assert.equal(feature.status, 'On track');
+  assert.equal(feature.originalSizing, '10 days');
+  assert.equal(feature.sizingAfterPlanning, 'TBD');
+  assert.equal(feature.originalSizingDays, 10);
+  assert.deepEqual(feature.progress.tasks, { done: 0, total: 3, percent: 0 });
+  assert.deepEqual(feature.progress.milestones, { done: 0, total: 1, percent: 0 });
+  assert.equal(feature.sizingAfterPlanningDays, null);
+  assert.equal(feature.dailyReportNote, 'Demo Friday');
+  assert.equal(feature.dueDate, 'Mar 20, 2026');
+  assert.deepEqual(feature.initials, ['AF']);
+  assert.equal(statusSnapshot.feature_L1.status, 'On track');
+
+  const [milestone, other] = feature.milestones;
+  assert.deepEqual(milestone.recentChanges.map(c => c.name), ['Sub one']);
+  assert.equal(milestone.recentChanges[0].statusChange.oldStatus, 'in progress');
+  assert.equal(other.name, 'Other');
+  assert.deepEqual(other.recentChanges.map(c => [c.name, c.statusChange.oldStatus]), [['Loose', 'in progress']]);
+});
+
+test('buildFeatureUpdates reads feature progress without recording quiet tasks in the status snapshot', () => {
+  const list = { id: 'L1', name: 'v1.5 Search' };
+  const statusSnapshot = {};
+  const tasks = [
+    makeTask({ id: 'q1', status: 'in progress', date_updated: WEDNESDAY - 10 * DAY }),
+    makeTask({ id: 'q2', status: 'complete', date_updated: WEDNESDAY - 10 * DAY, date_closed: WEDNESDAY - 10 * DAY }),
+  ];
+
+  const [feature] = buildFeatureUpdates([{ list, tasks }], new Map(), {}, statusSnapshot, WEDNESDAY);
+
+  assert.deepEqual(feature.progress.tasks, { done: 1, total: 2, percent: 50 });
+  assert.deepEqual(Object.keys(statusSnapshot), ['feature_L1']);
+});
+
+test('buildEngineerSummaries groups each roster member\'s work and flags overdue items', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'done', status: 'complete', assignees: ['Sarah Dong'], date_closed: WEDNESDAY - 2 * HOUR }),
+      makeTask({ id: 'stuck', status: 'blocked', assignees: ['Sarah Dong', 'Donald Ma'], due_date: Date.parse('2026-03-02T20:00:00Z') }),
+      makeTask({ id: 'going', status: 'in progress', assignees: ['Sarah Dong'], due_date: Date.parse('2026-03-10T20:00:00Z') }),
+      makeTask({ id: 'late', status: 'in review', assignees: ['Donald Ma'], due_date: Date.parse('2026-03-03T20:00:00Z') }),
+    ]),
+  ];
+  const completed = buildCompletedTasks(allTasksByList, {}, {}, WEDNESDAY);
+  const blocked = buildBlockedTasks(allTasksByList, {}, {}, WEDNESDAY);
+  const updates = buildTaskUpdates(allTasksByList, {}, {}, new Set(completed.map(t => t.id)), WEDNESDAY);
+
+  const engineers = buildEngineerSummaries(completed, blocked, updates, WEDNESDAY);
+  const ids = tasks => tasks.map(t => t.id);
+
+  assert.deepEqual(engineers.map(e => e.initials), ['DM', 'SD', 'AF']);
+  const [donald, sarah, alex] = engineers;
+  assert.deepEqual(ids(sarah.completed), ['done']);
+  assert.deepEqual(ids(sarah.blocked), ['stuck']);
+  assert.deepEqual(ids(sarah.inProgress), ['going']);
+  assert.deepEqual(ids(sarah.overdue), ['stuck']);
+  assert.deepEqual(ids(donald.inProgress), ['late']);
+  assert.deepEqual(ids(donald.overdue), ['stuck', 'late']);
+  assert.deepEqual([alex.completed, alex.blocked, alex.inProgress, alex.overdue], [[], [], [], []]);
+});
+
+test('attachNotes fetches each task\'s comments once across sections', async () => {
+  const fetched = [];
+  clickup.fetchCommentsForTasks.mock.mockImplementation(async taskIds => {
+    fetched.push(...taskIds);
+    return new Map([['a', [{ comment_text: 'Blocked by review' }]]]);
+  });
+  const blocked = [{ id: 'a', note: null }];
+  const updates = [{ id: 'a', note: null }, { id: 'b', note: null }];
+
+  await attachNotes(blocked, updates);
+
+  assert.deepEqual(fetched, ['a', 'b']);
+  assert.deepEqual([...blocked, ...updates].map(t => t.note), ['Blocked by review', 'Blocked by review', null]);
+});
+
+test('buildStaleWork flags active tasks past their status threshold or quiet for too long, across all lists', async () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'slow-review', status: 'in review', assignees: ['Sarah Dong'], date_updated: WEDNESDAY - HOUR }),
+      makeTask({ id: 'quiet', status: 'in progress', date_updated: WEDNESDAY - 8 * DAY }),
+      makeTask({ id: 'commented', status: 'in progress', date_updated: WEDNESDAY - 8 * DAY }),
+      makeTask({ id: 'fine', status: 'in progress', date_updated: WEDNESDAY - DAY }),
+      makeTask({ id: 'todo', status: 'to do', date_updated: WEDNESDAY - 30 * DAY }),
+      makeTask({ id: 'abandoned', status: 'abandoned', date_updated: WEDNESDAY - 30 * DAY }),
+      makeTask({ id: 'planning', status: 'in planning', date_updated: WEDNESDAY - 30 * DAY }),
+      makeTask({ id: 'shipping', status: 'ready for deployment', date_updated: WEDNESDAY - 30 * DAY }),
+    ]),
+    makeList('v1.5 Search', [makeTask({ id: 'feature-task', status: 'in qa', date_updated: WEDNESDAY - 6 * DAY })]),
+    makeList('Graveyard', [makeTask({ id: 'buried', status: 'in progress', date_updated: WEDNESDAY - 60 * DAY })]),
+  ];
+  const timeInStatusData = { 'slow-review': { current_status: { total_time: { by_minute: 4 * 24 * 60 } } } };
+  const statusSnapshot = { fine: { status: 'in progress', since: new Date(WEDNESDAY - 2 * DAY).toISOString() } };
+  clickup.fetchCommentsForTasks.mock.mockImplementation(async taskIds =>
+    new Map(taskIds.map(id => [id, id === 'commented' ? [{ date: String(WEDNESDAY - DAY) }] : []]))
+  );
+
+  const stale = await buildStaleWork(allTasksByList, timeInStatusData, statusSnapshot, WEDNESDAY);
+
+  assert.deepEqual(stale.map(t => [t.id, t.inactiveDays, t.statusStale]), [
+    ['quiet', 8, false],
+    ['feature-task', 6, false],
+    ['slow-review', 0, true],
+  ]);
+  assert.deepEqual(stale[2].initials, ['SD']);
+  assert.equal(stale[2].timeInStatus, 4 * DAY);
+  assert.equal(stale[0].lastActivity, 'Feb 24, 2026');
+});
+
+test('buildStaleWork counts an update after the report time as activity at the report time', async () => {
+  const allTasksByList = [
+    makeList('Priority', [makeTask({ id: 'slow-review', status: 'in review', date_updated: WEDNESDAY + 2 * DAY })]),
+  ];
+  const timeInStatusData = { 'slow-review': { current_status: { total_time: { by_minute: 4 * 24 * 60 } } } };
+
+  const stale = await buildStaleWork(allTasksByList, timeInStatusData, {}, WEDNESDAY);
+
+  assert.deepEqual(stale.map(t => [t.id, t.inactiveDays, t.lastActivity]), [['slow-review', 0, 'Mar 4, 2026']]);
+});
+
+test('buildUnownedWork lists in-flight tasks with nobody or only outsiders assigned', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'owned', assignees: ['Donald Ma'] }),
+      makeTask({ id: 'orphan', status: 'in review' }),
+      makeTask({ id: 'contractor', priority: { priority: 'high' }, assignees: ['Contractor'] }),
+      makeTask({ id: 'owned-sub', parent: 'owned' }),
+      makeTask({ id: 'orphan-sub', parent: 'orphan' }),
+      makeTask({ id: 'todo', status: 'to do' }),
+      makeTask({ id: 'done', status: 'in progress', date_closed: WEDNESDAY - DAY }),
+    ]),
+    makeList('v1.5 Search', [makeTask({ id: 'milestone', custom_item_id: 1, status: 'in development' })]),
+    makeList('Design', [makeTask({ id: 'elsewhere' })]),
+    makeList('Graveyard', [makeTask({ id: 'buried' })]),
+  ];
+
+  const unowned = buildUnownedWork(allTasksByList);
+
+  assert.deepEqual(unowned.map(t => [t.id, t.owner, t.assignees, t.feature]), [
+    ['contractor', 'outside', ['Contractor'], null],
+    ['orphan-sub', 'unassigned', [], null],
+    ['orphan', 'unassigned', [], null],
+    ['milestone', 'unassigned', [], 'Search'],
+  ]);
+});
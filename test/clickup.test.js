@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clickup = require('../lib/clickup');
+const { CACHE_DIR, useCache, setCached } = require('../lib/http-cache');
+
+const BASE = 'https://api.clickup.com/api/v2';
+
+// Every test uses its own endpoint: fetchAPI remembers requests for the whole run
+test.beforeEach(t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickup-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  useCache(dir);
+  clickup.useFixtures(null, null);
+});
+
+test.afterEach(() => useCache(CACHE_DIR));
+
+function stubFetch(t, respond) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    calls.push({ url, headers: options.headers });
+    return respond(calls.length);
+  });
+  return calls;
+}
+
+test('fetchAPI makes each distinct request once per run', async t => {
+  const calls = stubFetch(t, () => Response.json({ comments: [] }));
+
+  const [a, b] = await Promise.all([clickup.fetchAPI('/task/dedup1/comment'), clickup.fetchAPI('/task/dedup1/comment')]);
+  await clickup.fetchAPI('/task/dedup2/comment');
+
+  assert.equal(calls.length, 2);
+  assert.equal(a, b);
+});
+
+test('fetchAPI serves fresh responses from the on-disk cache', async t => {
+  setCached('/task/cached1/comment', `${BASE}/task/cached1/comment`, { comments: ['cached'] });
+  const calls = stubFetch(t, () => Response.json({ comments: ['live'] }));
+
+  assert.deepEqual(await clickup.fetchAPI('/task/cached1/comment'), { comments: ['cached'] });
+  assert.equal(calls.length, 0);
+});
+
+test('fetchAPI goes to the network when the cache is off', async t => {
+  setCached('/task/nocache1/comment', `${BASE}/task/nocache1/comment`, { comments: ['cached'] });
+  useCache(null);
+  const calls = stubFetch(t, () => Response.json({ comments: ['live'] }));
+
+  assert.deepEqual(await clickup.fetchAPI('/task/nocache1/comment'), { comments: ['live'] });
+  assert.equal(calls.length, 1);
+});
+
+test('fetchAPI revalidates expired entries that carry an ETag', async t => {
+  setCached('/task/etag1/comment', `${BASE}/task/etag1/comment`, { comments: ['old'] }, { etag: '"v1"' }, 0);
+  const calls = stubFetch(t, () => new Response(null, { status: 304 }));
+
+  assert.deepEqual(await clickup.fetchAPI('/task/etag1/comment'), { comments: ['old'] });
+  assert.equal(calls[0].headers['If-None-Match'], '"v1"');
+});
+
+test('fetchAPI retries 5xx responses and dropped connections with backoff', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0);
+  const calls = stubFetch(t, n => {
+    if (n === 1) return new Response('upstream down', { status: 502 });
+    if (n === 2) throw new TypeError('fetch failed', { cause: new Error('ECONNRESET') });
+    return Response.json({ comments: ['ok'] });
+  });
+
+  assert.deepEqual(await clickup.fetchAPI('/task/retry1/comment'), { comments: ['ok'] });
+  assert.equal(calls.length, 3);
+});
+
+test('fetchAPI gives up after five attempts and does not retry other 4xx errors', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0);
+  const calls = stubFetch(t, () => new Response('busy', { status: 503 }));
+
+  await assert.rejects(clickup.fetchAPI('/task/retry2/comment'), err => {
+    assert.match(err.message, /Failed after 5 attempts on \/task\/retry2\/comment: API error 503/);
+    assert.equal(err.transient, true);
+    return true;
+  });
+  assert.equal(calls.length, 5);
+
+  calls.length = 0;
+  globalThis.fetch.mock.mockImplementation(async () => new Response('no access', { status: 401 }));
+  await assert.rejects(clickup.fetchAPI('/task/retry3/comment'), /API error 401 on \/task\/retry3\/comment: no access/);
+});
+
+test('comments and time in status that keep failing are recorded as gaps without ending the run', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0);
+  stubFetch(t, () => new Response('down', { status: 500 }));
+  clickup.resetDataGaps();
+  t.after(() => clickup.resetDataGaps());
+
+  assert.deepEqual(await clickup.fetchTaskComments('gap2'), []);
+  assert.deepEqual(await clickup.fetchTaskComments('gap3'), []);
+  assert.deepEqual(await clickup.fetchBulkTimeInStatus(['gap4']), {});
+  assert.deepEqual(clickup.describeDataGaps(), ['Task comments (2 requests failed)', 'Time in status (1 request failed)']);
+});
+
+test('a recorded run replays from its fixtures without touching the network', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickup-fixtures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const snapshotFile = path.join(dir, 'feature-dates.json');
+  fs.writeFileSync(snapshotFile, JSON.stringify({ feature_L1: { dueDate: 'Mar 6, 2026' } }));
+  const params = { task_ids: ['fixture1', 'fixture2'] };
+
+  stubFetch(t, () => Response.json({ recorded: true }));
+  clickup.useFixtures('record', path.join(dir, 'fixtures'));
+  const before = Date.now();
+  clickup.recordSnapshots([snapshotFile, path.join(dir, 'missing.json')]);
+  await clickup.fetchAPI('/task/fixture1/comment');
+  await clickup.fetchAPI('/task/bulk_time_in_status/task_ids', params);
+
+  const files = fs.readdirSync(path.join(dir, 'fixtures')).sort();
+  assert.equal(files.length, 4);
+  assert.ok(files.includes('task_fixture1_comment.json'));
+  assert.ok(files.some(file => /^task_bulk_time_in_status_task_ids-[0-9a-f]{10}\.json$/.test(file)));
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'fixtures', 'snapshots')), ['feature-dates.json']);
+
+  // A fresh module is a new run, with no requests remembered from recording
+  delete require.cache[require.resolve('../lib/clickup')];
+  const replay = require('../lib/clickup');
+  globalThis.fetch.mock.mockImplementation(async () => assert.fail('replay must not fetch'));
+  replay.useFixtures('replay', path.join(dir, 'fixtures'));
+
+  assert.deepEqual(await replay.fetchAPI('/task/fixture1/comment'), { recorded: true });
+  assert.deepEqual(await replay.fetchAPI('/task/bulk_time_in_status/task_ids', params), { recorded: true });
+  await assert.rejects(replay.fetchAPI('/task/fixture3/comment'), /No recorded fixture for \/task\/fixture3\/comment/);
+  const recordedAt = replay.fixtureRecordedAt();
+  assert.ok(recordedAt >= before && recordedAt <= Date.now());
+  assert.deepEqual(JSON.parse(fs.readFileSync(replay.fixtureSnapshotPath(snapshotFile), 'utf-8')), {
+    feature_L1: { dueDate: 'Mar 6, 2026' },
+  });
+});
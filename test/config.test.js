@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig, loadConfig, DEFAULT_CONFIG_PATH } = require('../lib/config');
+const { TEST_CONFIG } = require('./support');
+
+test('validateConfig fills in defaults for optional keys', () => {
+  const config = validateConfig({ spaceName: 'S', folderName: 'F', teamMembers: ['A B'] }, 'test');
+  assert.equal(config.timezone, 'America/Los_Angeles');
+  assert.deepEqual(config.excludedLists, ['graveyard']);
+  assert.equal(config.defaultStaleDays, 5);
+});
+
+test('validateConfig lowercases list and status names', () => {
+  const config = validateConfig({
+    ...TEST_CONFIG,
+    excludedLists: ['Graveyard'],
+    excludedStatuses: ['To Do'],
+    activeStatuses: ['In Progress', 'Parked'],
+    staleThresholdsDays: { 'In QA': 2 },
+  }, 'test');
+  assert.deepEqual(config.excludedLists, ['graveyard']);
+  assert.deepEqual(config.excludedStatuses, ['to do']);
+  assert.deepEqual(config.activeStatuses, ['in progress', 'parked']);
+  assert.deepEqual(config.staleThresholdsDays, { 'in qa': 2 });
+});
+
+test('validateConfig reports every problem at once', () => {
+  assert.throws(
+    () => validateConfig({
+      spaceName: 'S',
+      teamMembers: ['A', ''],
+      timezone: 'Mars/Olympus',
+      staleThresholdsDays: { blocked: 0 },
+      teamMember: [],
+    }, 'bad.json'),
+    err => {
+      assert.match(err.message, /^Invalid config in bad\.json:/);
+      assert.match(err.message, /unknown key "teamMember"/);
+      assert.match(err.message, /missing required key "folderName"/);
+      assert.match(err.message, /"teamMembers" is invalid: entry 2 is an empty name/);
+      assert.match(err.message, /"timezone" must be a valid IANA timezone \(got "Mars\/Olympus"\)/);
+      assert.match(err.message, /"staleThresholdsDays" has non-positive or non-numeric days for: "blocked"/);
+      return true;
+    }
+  );
+});
+
+test('validateConfig checks email recipients', () => {
+  const base = { ...TEST_CONFIG };
+  assert.equal(validateConfig(base, 'test').email, null);
+
+  const email = { from: 'Reports <reports@example.com>', to: ['lead@example.com'], bcc: ['pm@example.com'] };
+  assert.deepEqual(validateConfig({ ...base, email }, 'test').email, email);
+
+  assert.throws(
+    () => validateConfig({ ...base, email: { from: 'reports', to: [], cc: ['ok@example.com', 'nope'], reply: 'x' } }, 'test'),
+    err => {
+      assert.match(err.message, /"email" is invalid: /);
+      assert.match(err.message, /unknown key "reply"/);
+      assert.match(err.message, /"from" must be an email address/);
+      assert.match(err.message, /"to" must be a non-empty array of email addresses/);
+      assert.match(err.message, /"cc" has invalid addresses: "nope"/);
+      return true;
+    }
+  );
+});
+
+test('validateConfig normalizes team members and gives each a unique handle', () => {
+  const config = validateConfig({
+    ...TEST_CONFIG,
+    teamMembers: ['Donald Ma', { id: 42, name: 'Dana Moss' }, { id: '7', name: 'Sarah Dong', handle: 'sarah' }, 'Sam Dunn'],
+  }, 'test');
+  assert.deepEqual(config.teamMembers, [
+    { id: null, name: 'Donald Ma', handle: 'DMa' },
+    { id: '42', name: 'Dana Moss', handle: 'DMo' },
+    { id: '7', name: 'Sarah Dong', handle: 'sarah' },
+    { id: null, name: 'Sam Dunn', handle: 'SD' },
+  ]);
+
+  assert.throws(
+    () => validateConfig({ ...TEST_CONFIG, teamMembers: [{ name: 'No Id' }, { id: 1, name: 'A', handle: 'X' }, { id: 1, name: 'B', handle: 'X', role: 'lead' }] }, 'test'),
+    err => {
+      assert.match(err.message, /entry 1 needs a numeric ClickUp user "id"/);
+      assert.match(err.message, /entry 3 has unknown key "role"/);
+      return true;
+    }
+  );
+  assert.throws(
+    () => validateConfig({ ...TEST_CONFIG, teamMembers: [{ id: 1, name: 'A', handle: 'X' }, { id: 1, name: 'B', handle: 'X' }] }, 'test'),
+    /"teamMembers" repeats id "1"; repeats handle "X"/
+  );
+});
+
+test('validateConfig checks sortOrder keys', () => {
+  assert.deepEqual(validateConfig(TEST_CONFIG, 'test').sortOrder, ['priority', 'dueDate', 'status']);
+  assert.deepEqual(validateConfig({ ...TEST_CONFIG, sortOrder: [] }, 'test').sortOrder, []);
+  assert.throws(
+    () => validateConfig({ ...TEST_CONFIG, sortOrder: ['priority', 'name'] }, 'test'),
+    /"sortOrder" has unknown sort keys: "name" \(expected priority, dueDate, status\)/
+  );
+  assert.throws(() => validateConfig({ ...TEST_CONFIG, sortOrder: ['status', 'status'] }, 'test'), /"sortOrder" lists a sort key more than once/);
+});
+
+test('the committed report-config.json is valid', () => {
+  assert.doesNotThrow(() => loadConfig(DEFAULT_CONFIG_PATH));
+});
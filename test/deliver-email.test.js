@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { smtpOptionsFromEnv, buildEmailMessage, sendEmail } = require('../lib/deliver-email');
+const { WEDNESDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+const report = {
+  generatedAt: WEDNESDAY,
+  completedTasks: [{ id: 'c1', name: 'Ship it', url: null, initials: ['DM'], completedDate: 'Mar 4, 2026', note: null }],
+  blockedTasks: [],
+  taskUpdates: [],
+  recentlyCreated: [],
+  featureUpdates: [],
+};
+
+const emailConfig = {
+  from: 'Reports <reports@example.com>',
+  to: ['lead@example.com', 'pm@example.com'],
+  cc: ['eng@example.com'],
+  bcc: [],
+};
+
+test('smtpOptionsFromEnv requires a host and infers TLS from the port', () => {
+  assert.throws(() => smtpOptionsFromEnv({}), /SMTP_HOST not set/);
+  assert.deepEqual(smtpOptionsFromEnv({ SMTP_HOST: 'smtp.example.com' }), { host: 'smtp.example.com', port: 587, secure: false });
+  assert.equal(smtpOptionsFromEnv({ SMTP_HOST: 'smtp.example.com', SMTP_PORT: '465' }).secure, true);
+  assert.equal(smtpOptionsFromEnv({ SMTP_HOST: 'smtp.example.com', SMTP_PORT: '465', SMTP_SECURE: 'false' }).secure, false);
+  assert.deepEqual(
+    smtpOptionsFromEnv({ SMTP_HOST: 'smtp.example.com', SMTP_USER: 'bot', SMTP_PASS: 'secret' }).auth,
+    { user: 'bot', pass: 'secret' }
+  );
+  assert.throws(() => smtpOptionsFromEnv({ SMTP_HOST: 'smtp.example.com', SMTP_PORT: 'smtp' }), /SMTP_PORT must be a number/);
+});
+
+test('buildEmailMessage carries recipients, a dated subject and both HTML and text bodies', () => {
+  const message = buildEmailMessage(report, emailConfig);
+  assert.equal(message.from, 'Reports <reports@example.com>');
+  assert.deepEqual(message.to, ['lead@example.com', 'pm@example.com']);
+  assert.deepEqual(message.cc, ['eng@example.com']);
+  assert.equal(message.bcc, undefined);
+  assert.equal(message.subject, 'Daily Activity Report — March 4, 2026');
+  assert.match(message.html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(message.html, /<script>/);
+  assert.match(message.text, /^COMPLETED TASKS\n- Ship it \(DM\) \| Completed: Mar 4, 2026$/m);
+});
+
+test('buildEmailMessage uses a configured subject', () => {
+  assert.equal(buildEmailMessage(report, { ...emailConfig, subject: 'Lodgr standup' }).subject, 'Lodgr standup — March 4, 2026');
+});
+
+test('sendEmail sends a multipart/alternative message with a plain-text part', async () => {
+  const info = await sendEmail(buildEmailMessage(report, emailConfig), { streamTransport: true, buffer: true, newline: 'unix' });
+  const raw = info.message.toString();
+  assert.deepEqual(info.envelope.to, ['lead@example.com', 'pm@example.com', 'eng@example.com']);
+  assert.match(raw, /^Content-Type: multipart\/alternative;/m);
+  assert.match(raw, /^Content-Type: text\/plain; charset=utf-8$/m);
+  assert.match(raw, /^Content-Type: text\/html; charset=utf-8$/m);
+});
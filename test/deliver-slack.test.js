@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { buildSlackPayload, postToSlack } = require('../lib/deliver-slack');
+const { WEDNESDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+function emptyReport() {
+  return { generatedAt: WEDNESDAY, completedTasks: [], blockedTasks: [], taskUpdates: [], recentlyCreated: [], featureUpdates: [] };
+}
+
+function blockedTask(i, note = null) {
+  return {
+    id: `b${i}`, name: `Blocked ${i}`, url: null, initials: ['SD'], listName: 'Priority',
+    startDate: 'TBD', dueDate: 'TBD', startDateHistory: [], dueDateHistory: [], statusChange: null, note,
+  };
+}
+
+// Starts a local webhook stub that records each request and answers with `status`
+async function startWebhookStub(t, status = 200, body = 'ok') {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: data });
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/services/T000/B000/XXX`, requests };
+}
+
+test('buildSlackPayload posts Blocked, Completed, Task Updates and Feature Updates in that order', () => {
+  const payload = buildSlackPayload({ ...emptyReport(), blockedTasks: [blockedTask(1)] });
+  const headings = payload.blocks
+    .filter(b => b.type === 'section' && /^\*[^*]+\* \(\d+\)$/.test(b.text.text))
+    .map(b => b.text.text);
+  assert.deepEqual(headings, ['*Blocked Tasks* (1)', '*Completed Tasks* (0)', '*Task Updates* (0)', '*Feature Updates* (0)']);
+  assert.equal(payload.blocks[0].type, 'header');
+  assert.match(payload.text, /^Daily Activity Report — March 4, 2026: 1 blocked tasks, 0 completed tasks/);
+  assert.ok(!payload.blocks.some(b => b.type === 'context' && b.elements[0].text === 'No blocked tasks.'));
+  assert.ok(payload.blocks.some(b => b.type === 'context' && b.elements[0].text === 'No task updates.'));
+});
+
+test('buildSlackPayload keeps section text under the Block Kit limit without splitting items', () => {
+  const note = 'x'.repeat(400);
+  const blockedTasks = Array.from({ length: 40 }, (_, i) => blockedTask(i, note));
+  const payload = buildSlackPayload({ ...emptyReport(), blockedTasks });
+  const itemBlocks = payload.blocks.filter(b => b.type === 'section' && b.text.text.startsWith('• '));
+  assert.ok(itemBlocks.length > 1);
+  for (const block of itemBlocks) {
+    assert.ok(block.text.text.length <= 3000);
+    assert.ok(block.text.text.endsWith('x...'));
+  }
+  assert.equal(itemBlocks.map(b => b.text.text.match(/^• /gm).length).reduce((a, b) => a + b), 40);
+});
+
+test('buildSlackPayload truncates to the 50 block limit', () => {
+  const blockedTasks = Array.from({ length: 500 }, (_, i) => blockedTask(i, 'x'.repeat(400)));
+  const payload = buildSlackPayload({ ...emptyReport(), blockedTasks });
+  assert.equal(payload.blocks.length, 50);
+  assert.match(payload.blocks[49].elements[0].text, /Report truncated/);
+});
+
+test('buildSlackPayload warns about incomplete data under the header', () => {
+  const { blocks } = buildSlackPayload({ ...emptyReport(), dataGaps: ['Task comments (2 requests failed)'] });
+  assert.equal(blocks[2].text.text, ':warning: *Data incomplete:* Task comments (2 requests failed). Notes and time in status may be missing.');
+  assert.equal(buildSlackPayload(emptyReport()).blocks[2].type, 'divider');
+});
+
+test('postToSlack sends the payload as JSON', async t => {
+  const stub = await startWebhookStub(t);
+  const payload = buildSlackPayload(emptyReport());
+
+  await postToSlack(stub.url, payload);
+
+  assert.equal(stub.requests.length, 1);
+  assert.equal(stub.requests[0].method, 'POST');
+  assert.equal(stub.requests[0].url, '/services/T000/B000/XXX');
+  assert.equal(stub.requests[0].headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(stub.requests[0].body), payload);
+});
+
+test('postToSlack surfaces webhook errors', async t => {
+  const stub = await startWebhookStub(t, 400, 'invalid_blocks');
+  await assert.rejects(postToSlack(stub.url, { text: 'x' }), /Slack webhook returned 400: invalid_blocks/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEstimates } = require('../lib/estimates');
+const { DAY, WEDNESDAY, useTestConfig, makeTask, makeList } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+});
+
+const feature = (id, name, originalSizingDays, sizingAfterPlanningDays = null) => ({ id, name, originalSizingDays, sizingAfterPlanningDays });
+
+test('buildEstimates compares sizing with working days for finished and in-flight features', () => {
+  // Feb 16 and Feb 23, 2026 are Mondays
+  const feb16 = Date.parse('2026-02-16T17:00:00Z');
+  const allTasksByList = [
+    makeList('v1.5 Search', [
+      makeTask({ id: 's1', status: 'complete', date_closed: Date.parse('2026-02-27T20:00:00Z') }),
+      makeTask({ id: 's2', status: 'closed', date_closed: Date.parse('2026-02-25T20:00:00Z') }),
+    ], 'L1'),
+    makeList('v1.5 Payments', [
+      makeTask({ id: 'p1', status: 'in progress', start_date: feb16 + 7 * DAY }),
+      makeTask({ id: 'p2', status: 'complete', start_date: feb16 + 8 * DAY, date_closed: WEDNESDAY - DAY }),
+    ], 'L2'),
+    makeList('v1.5 Unsized', [makeTask({ id: 'u1' })], 'L3'),
+    makeList('Priority', [makeTask({ id: 'x1' })]),
+  ];
+  const detailedListMap = new Map([
+    ['L1', { id: 'L1', start_date: String(feb16) }],
+    ['L2', { id: 'L2' }],
+    ['L3', { id: 'L3', start_date: String(feb16) }],
+  ]);
+  const featureUpdates = [feature('L1', 'Search', 8, 10), feature('L2', 'Payments', 4), feature('L3', 'Unsized', null)];
+
+  const { features, trend } = buildEstimates(allTasksByList, detailedListMap, featureUpdates, WEDNESDAY);
+
+  assert.deepEqual(features, [
+    {
+      id: 'L2', name: 'Payments', state: 'in progress', startDate: 'Feb 23, 2026', completedDate: null,
+      elapsedDays: 8, originalSizingDays: 4, sizingAfterPlanningDays: null, ratio: 2, originalRatio: 2,
+    },
+    {
+      id: 'L1', name: 'Search', state: 'completed', startDate: 'Feb 16, 2026', completedDate: 'Feb 27, 2026',
+      elapsedDays: 10, originalSizingDays: 8, sizingAfterPlanningDays: 10, ratio: 1, originalRatio: 1.25,
+    },
+  ]);
+  assert.deepEqual(trend, { completed: 1, medianRatio: 1, earlierMedian: null, laterMedian: null, direction: null });
+});
+
+test('buildEstimates compares the older and newer half of finished features', () => {
+  // Started Monday Jan 5, 2026 and sized at 10 days; they took 9, 11, 18 and
+  // 20 working days, in that order
+  const start = Date.parse('2026-01-05T17:00:00Z');
+  const closed = ['2026-01-15', '2026-01-19', '2026-01-28', '2026-01-30'];
+  const allTasksByList = closed.map((date, i) =>
+    makeList(`v1.5 F${i}`, [makeTask({ id: `t${i}`, status: 'complete', date_closed: Date.parse(`${date}T20:00:00Z`) })], `L${i}`)
+  );
+  const detailedListMap = new Map(closed.map((_, i) => [`L${i}`, { id: `L${i}`, start_date: String(start) }]));
+  const featureUpdates = closed.map((_, i) => feature(`L${i}`, `F${i}`, 10));
+
+  const { features, trend } = buildEstimates(allTasksByList, detailedListMap, featureUpdates, WEDNESDAY);
+
+  assert.deepEqual(features.map(f => [f.name, f.elapsedDays, f.ratio]), [['F3', 20, 2], ['F2', 18, 1.8], ['F1', 11, 1.1], ['F0', 9, 0.9]]);
+  assert.deepEqual(trend, { completed: 4, medianRatio: 1.45, earlierMedian: 1, laterMedian: 1.9, direction: 'worsening' });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSizing, parseFeatureDescription, lintFeatureDescriptions, describeFeatureLint } = require('../lib/features');
+
+test('parseSizing reads days and weeks as working days', () => {
+  assert.deepEqual(parseSizing('10 days'), { days: 10 });
+  assert.deepEqual(parseSizing('1 day'), { days: 1 });
+  assert.deepEqual(parseSizing('2 weeks'), { days: 10 });
+  assert.deepEqual(parseSizing('1.5w'), { days: 7.5 });
+  assert.deepEqual(parseSizing('8'), { days: 8 });
+  assert.deepEqual(parseSizing('TBD'), { days: null });
+  assert.match(parseSizing('big').error, /"big" is not a size/);
+  assert.match(parseSizing('3 months').error, /is not a size/);
+});
+
+test('parseFeatureDescription reads the front-matter block', () => {
+  const description = parseFeatureDescription([
+    '---',
+    'Status: In Development',
+    'original sizing: 2 weeks',
+    'Sizing After Technical Planning: 15 days',
+    'Daily Report Note: Demo Friday',
+    '---',
+    'Status: ignored, this is free text below the block',
+  ].join('\n'));
+
+  assert.deepEqual(description, {
+    status: 'In Development',
+    originalSizing: '2 weeks',
+    sizingAfterPlanning: '15 days',
+    dailyReportNote: 'Demo Friday',
+    originalSizingDays: 10,
+    sizingAfterPlanningDays: 15,
+    problems: [],
+  });
+});
+
+test('parseFeatureDescription reports misspelled, repeated and malformed fields', () => {
+  const description = parseFeatureDescription([
+    '---',
+    'Stauts: On track',
+    'Original Sizing: a lot',
+    'Original Sizing: 10 days',
+    'just a note',
+    '---',
+  ].join('\n'));
+
+  assert.equal(description.status, null);
+  assert.equal(description.originalSizingDays, null);
+  assert.deepEqual(description.problems, [
+    'unknown field "Stauts" (did you mean "Status"?)',
+    '"Original Sizing" is given more than once',
+    'line "just a note" is not "Label: value"',
+    '"Status" is missing',
+    '"Original Sizing": "a lot" is not a size; use e.g. "10 days" or "2 weeks"',
+  ]);
+});
+
+test('parseFeatureDescription still reads descriptions without a block, but flags them', () => {
+  const description = parseFeatureDescription('Status: On track\nInitial Sizing: 10 days');
+  assert.equal(description.status, 'On track');
+  assert.equal(description.originalSizingDays, 10);
+  assert.deepEqual(description.problems, ['the description does not start with a "---" front-matter block']);
+
+  assert.deepEqual(parseFeatureDescription('---\nStatus: On track').problems, [
+    'the front-matter block has no closing "---" line',
+    '"Original Sizing" is missing',
+  ]);
+  assert.deepEqual(parseFeatureDescription('').problems, ['the list has no description']);
+});
+
+test('lintFeatureDescriptions checks only v1.5 lists', () => {
+  const lint = lintFeatureDescriptions([
+    { id: 'L1', name: 'v1.5 Search', content: '---\nStatus: On track\nOriginal Sizing: 10 days\n---' },
+    { id: 'L2', name: 'v1.5 Payments', content: '' },
+    { id: 'L3', name: 'Priority', content: '' },
+  ]);
+
+  assert.deepEqual(lint, [{ id: 'L2', name: 'Payments', problems: ['the list has no description'] }]);
+  assert.equal(describeFeatureLint(lint[0]), 'Feature "Payments" description: the list has no description');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, archiveRun } = require('../generate-report');
+const { WEDNESDAY, TEST_CONFIG, useTestConfig } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+});
+
+const report = { generatedAt: WEDNESDAY, completedTasks: [], blockedTasks: [], taskUpdates: [], recentlyCreated: [], featureUpdates: [] };
+
+test('archiveRun archives live runs but not --as-of runs or replays', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const renderHTML = () => '<html>report</html>';
+
+  assert.equal(archiveRun({ 'as-of': '2026-03-04' }, null, report, renderHTML, dir), null);
+  assert.equal(archiveRun({}, 'replay', report, renderHTML, dir), null);
+  assert.deepEqual(fs.readdirSync(dir), []);
+
+  assert.equal(archiveRun({}, null, report, renderHTML, dir), path.join(dir, '2026-03-04.html'));
+  assert.equal(fs.readFileSync(path.join(dir, '2026-03-04.html'), 'utf8'), '<html>report</html>');
+});
+
+test('main rejects a period the config cannot resolve before fetching anything', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'report-config.json');
+  fs.writeFileSync(configPath, JSON.stringify(TEST_CONFIG));
+  t.mock.method(globalThis, 'fetch', async () => assert.fail('nothing should be fetched'));
+
+  await assert.rejects(main(['--config', configPath, '--period', 'sprint']), /--period sprint needs "sprintStartDate"/);
+  await assert.rejects(main(['--config', configPath, '--period', 'month']), /Unknown --period "month"/);
+  await assert.rejects(main(['--config', configPath, '--from', '2026-03-01']), /--from needs --period custom/);
+  assert.equal(globalThis.fetch.mock.callCount(), 0);
+});
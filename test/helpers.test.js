@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getWorkdayCutoff,
+  getActivityWindowLabel,
+  resolveReportTime,
+  workingDaysBetween,
+  getMostRecentMeaningfulComment,
+  matchedMembers,
+  memberInitials,
+  isOverdue,
+  formatDuration,
+  isStale,
+  sortTasks,
+} = require('../lib/helpers');
+const { DAY, HOUR, WEDNESDAY, MONDAY, useTestConfig, makeTask } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+test('getWorkdayCutoff looks back 24 hours mid-week', () => {
+  assert.equal(getWorkdayCutoff(WEDNESDAY), WEDNESDAY - 24 * HOUR);
+  assert.equal(getWorkdayCutoff(WEDNESDAY, 48), WEDNESDAY - 48 * HOUR);
+});
+
+test('getWorkdayCutoff looks back 72 hours on Monday regardless of default', () => {
+  assert.equal(getWorkdayCutoff(MONDAY), MONDAY - 72 * HOUR);
+  assert.equal(getWorkdayCutoff(MONDAY, 48), MONDAY - 72 * HOUR);
+});
+
+test('getActivityWindowLabel follows the Monday window', () => {
+  assert.equal(getActivityWindowLabel(WEDNESDAY), 'in the last 24 hours');
+  assert.equal(getActivityWindowLabel(MONDAY), 'since Friday');
+});
+
+test('resolveReportTime treats a bare date as the end of that day in the configured timezone', () => {
+  assert.equal(resolveReportTime('2026-03-04'), Date.parse('2026-03-05T07:59:59.999Z'));
+  assert.equal(resolveReportTime('2026-07-01'), Date.parse('2026-07-02T06:59:59.999Z'));
+});
+
+test('resolveReportTime accepts timestamps, falls back when unset and rejects garbage', () => {
+  assert.equal(resolveReportTime('2026-03-04T17:00:00Z'), WEDNESDAY);
+  assert.equal(resolveReportTime(undefined, MONDAY), MONDAY);
+  assert.throws(() => resolveReportTime('last friday'), /Invalid --as-of value/);
+});
+
+test('workingDaysBetween counts weekdays inclusively in the configured timezone', () => {
+  assert.equal(workingDaysBetween(WEDNESDAY, WEDNESDAY), 1);
+  // Wednesday through the following Monday skips the weekend
+  assert.equal(workingDaysBetween(WEDNESDAY, MONDAY), 4);
+  // Friday 9 PM in Los Angeles is already Saturday in UTC
+  assert.equal(workingDaysBetween(WEDNESDAY, Date.parse('2026-03-07T05:00:00Z')), 3);
+  useTestConfig({ timezone: 'UTC' });
+  assert.equal(workingDaysBetween(WEDNESDAY, Date.parse('2026-03-07T05:00:00Z')), 3);
+  assert.equal(workingDaysBetween(Date.parse('2026-03-07T05:00:00Z'), Date.parse('2026-03-08T05:00:00Z')), 0);
+});
+
+test('getMostRecentMeaningfulComment skips boilerplate and collapses whitespace', () => {
+  const comments = [
+    { comment_text: 'NOTE:\n\nIf you get blocked, ping the channel' },
+    { comment_text: 'Template: fill me in' },
+    { comment: [{ text: 'Waiting on\n  ' }, { text: 'design   review' }] },
+    { comment_text: 'Older note' },
+  ];
+  assert.equal(getMostRecentMeaningfulComment(comments), 'Waiting on design review');
+  assert.equal(getMostRecentMeaningfulComment([]), null);
+});
+
+test('matchedMembers matches unresolved names by exact username only', () => {
+  const task = makeTask({ assignees: ['donald ma', 'Sarah', 'Someone Else'] });
+  assert.deepEqual(matchedMembers(task), ['Donald Ma']);
+  assert.deepEqual(memberInitials(task), ['DM']);
+  assert.deepEqual(matchedMembers(makeTask()), []);
+});
+
+test('matchedMembers matches members with a ClickUp id by id, whatever their username', () => {
+  useTestConfig({ teamMembers: [{ id: 101, name: 'Sarah Dong' }, { id: 102, name: 'Sam Dunn' }] });
+  // makeTask numbers assignees from 100
+  const task = makeTask({ assignees: ['donald', 'sarah.d', 'Sam Dunn'] });
+  assert.deepEqual(matchedMembers(task), ['Sarah Dong', 'Sam Dunn']);
+  assert.deepEqual(memberInitials(task), ['SDo', 'SDu']);
+});
+
+test('isOverdue compares the due date with the start of the report day', () => {
+  assert.equal(isOverdue('Mar 3, 2026', 'in progress', WEDNESDAY), true);
+  assert.equal(isOverdue('Mar 4, 2026', 'in progress', WEDNESDAY), false);
+  assert.equal(isOverdue('Mar 3, 2026', 'in progress', Date.parse('2026-03-01T17:00:00Z')), false);
+});
+
+test('isOverdue ignores finished work and missing dates', () => {
+  for (const status of ['complete', 'Closed', 'ready for deployment']) {
+    assert.equal(isOverdue('Jan 1, 2026', status, WEDNESDAY), false);
+  }
+  assert.equal(isOverdue('TBD', 'in progress', WEDNESDAY), false);
+  assert.equal(isOverdue('', 'in progress', WEDNESDAY), false);
+});
+
+test('formatDuration rounds down to the largest whole unit', () => {
+  assert.equal(formatDuration(0), null);
+  assert.equal(formatDuration(30 * 60 * 1000), '<1h');
+  assert.equal(formatDuration(5 * 60 * 60 * 1000), '5h');
+  assert.equal(formatDuration(2.5 * DAY), '2d');
+});
+
+test('isStale applies per-status thresholds with a default', () => {
+  assert.equal(isStale('In Review', 3 * DAY), true);
+  assert.equal(isStale('in progress', 6 * DAY), false);
+  assert.equal(isStale('in qa', 5 * DAY), true);
+  assert.equal(isStale('in qa', 4 * DAY), false);
+});
+
+test('sortTasks orders by priority, then due date, then workflow status', () => {
+  const tasks = [
+    { id: 'none', priority: null, dueDate: 'Mar 1, 2026', status: 'in progress' },
+    { id: 'low', priority: { priority: 'low' }, dueDate: 'Mar 1, 2026', status: 'in progress' },
+    { id: 'urgent-tbd', priority: { priority: 'urgent' }, dueDate: 'TBD', status: 'in progress' },
+    { id: 'urgent-qa', priority: { priority: 'urgent' }, dueDate: 'Mar 5, 2026', status: 'in qa' },
+    { id: 'urgent-review', priority: { priority: 'urgent' }, dueDate: 'Mar 5, 2026', status: 'in review' },
+    { id: 'high', priority: { priority: 'high' }, dueDate: 'Feb 1, 2026', status: 'blocked' },
+  ];
+
+  assert.deepEqual(sortTasks([...tasks]).map(t => t.id), ['urgent-review', 'urgent-qa', 'urgent-tbd', 'high', 'low', 'none']);
+  assert.deepEqual(sortTasks([...tasks], ['dueDate']).map(t => t.id), ['high', 'none', 'low', 'urgent-qa', 'urgent-review', 'urgent-tbd']);
+  assert.deepEqual(sortTasks([...tasks], []).map(t => t.id), tasks.map(t => t.id));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CACHE_DIR, useCache, cacheTTL, getCached, setCached, pruneCache } = require('../lib/http-cache');
+const { HOUR, DAY } = require('./support');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test.afterEach(() => useCache(CACHE_DIR));
+
+const URL_A = 'https://api.clickup.com/api/v2/list/L1/task?page=0';
+
+test('cacheTTL keeps the workspace layout longer than task data and skips unknown endpoints', () => {
+  assert.equal(cacheTTL('/team'), DAY);
+  assert.equal(cacheTTL('/folder/F1/list'), DAY);
+  assert.ok(cacheTTL('/list/L1/task') < HOUR);
+  assert.ok(cacheTTL('/task/t1/comment') > 0);
+  assert.equal(cacheTTL('/user'), 0);
+});
+
+test('getCached reports entries as fresh until their TTL runs out', t => {
+  useCache(tempDir(t));
+  const stored = Date.parse('2026-03-04T17:00:00Z');
+  setCached('/list/L1/task', URL_A, { tasks: [] }, { etag: '"v1"' }, stored);
+
+  const fresh = getCached('/list/L1/task', URL_A, stored + 60 * 1000);
+  assert.deepEqual(fresh, { response: { tasks: [] }, fresh: true, etag: '"v1"', lastModified: null });
+  assert.equal(getCached('/list/L1/task', URL_A, stored + HOUR).fresh, false);
+  assert.equal(getCached('/list/L2/task', URL_A.replace('L1', 'L2')), null);
+});
+
+test('--no-cache skips reads but still stores responses', t => {
+  const dir = tempDir(t);
+  useCache(dir, { read: false });
+  setCached('/list/L1/task', URL_A, { tasks: [] });
+
+  assert.equal(getCached('/list/L1/task', URL_A), null);
+  useCache(dir);
+  assert.deepEqual(getCached('/list/L1/task', URL_A).response, { tasks: [] });
+});
+
+test('uncacheable endpoints are never written', t => {
+  const dir = tempDir(t);
+  useCache(dir);
+  setCached('/user', 'https://api.clickup.com/api/v2/user', { user: {} });
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('pruneCache removes entries untouched for a week', t => {
+  const dir = tempDir(t);
+  useCache(dir);
+  setCached('/list/L1/task', URL_A, { tasks: [] });
+  const [file] = fs.readdirSync(dir);
+
+  assert.equal(pruneCache(Date.now() + DAY), 0);
+  assert.equal(pruneCache(Date.now() + 8 * DAY), 1);
+  assert.equal(fs.existsSync(path.join(dir, file)), false);
+});
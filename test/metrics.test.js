@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, tasksCompletedInWindow, buildFlowMetrics } = require('../lib/metrics');
+const { HOUR, DAY, WEDNESDAY, useTestConfig, makeTask, makeList } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+});
+
+function timeInStatus(final, history) {
+  return {
+    current_status: { status: final, total_time: { by_minute: 60, since: '0' } },
+    status_history: history.map(([status, type, since, days]) => ({
+      status, type, total_time: { since: String(since), by_minute: days * 24 * 60 },
+    })),
+  };
+}
+
+test('percentile interpolates between the nearest ranks', () => {
+  assert.equal(percentile([], 50), null);
+  assert.equal(percentile([5], 85), 5);
+  assert.equal(percentile([4, 1, 3, 2], 50), 3);
+  assert.equal(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21], 85), 18);
+});
+
+test('tasksCompletedInWindow covers the rolling window and skips excluded lists', () => {
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'recent', date_done: WEDNESDAY - 2 * DAY }),
+      makeTask({ id: 'old', date_done: WEDNESDAY - 31 * DAY }),
+      makeTask({ id: 'open' }),
+    ]),
+    makeList('Graveyard', [makeTask({ id: 'buried', date_done: WEDNESDAY - DAY })]),
+  ];
+  assert.deepEqual(tasksCompletedInWindow(allTasksByList, WEDNESDAY).map(({ task }) => task.id), ['recent']);
+});
+
+test('buildFlowMetrics measures cycle and lead time per list and engineer', () => {
+  const done = WEDNESDAY - DAY;
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'a', assignees: ['Sarah Dong'], date_created: done - 10 * DAY, date_done: done }),
+      makeTask({ id: 'b', assignees: ['Sarah Dong'], date_created: done - 6 * DAY, start_date: done - 4 * DAY, date_done: done }),
+    ]),
+    makeList('QA/Usability', [
+      makeTask({ id: 'c', assignees: ['Donald Ma'], date_created: done - 2 * DAY, date_done: done }),
+    ]),
+  ];
+  const timeInStatusData = {
+    a: timeInStatus('complete', [
+      ['to do', 'open', done - 10 * DAY, 8],
+      ['in progress', 'custom', done - 2 * DAY, 1.5],
+      ['in review', 'custom', done - 0.5 * DAY, 0.5],
+      ['complete', 'done', done, 1],
+    ]),
+  };
+  const statusSnapshot = { c: { status: 'complete', history: [{ status: 'to do', since: new Date(done - 2 * DAY).toISOString() }, { status: 'in progress', since: new Date(done - 12 * HOUR).toISOString() }] } };
+
+  const metrics = buildFlowMetrics(allTasksByList, timeInStatusData, statusSnapshot, WEDNESDAY);
+
+  assert.equal(metrics.windowDays, 30);
+  assert.deepEqual(metrics.overall, {
+    count: 3,
+    cycleTime: { count: 3, median: 2 * DAY, p85: Math.round(2 * DAY + 0.7 * 2 * DAY) },
+    leadTime: { count: 3, median: 6 * DAY, p85: Math.round(6 * DAY + 0.7 * 4 * DAY) },
+  });
+  assert.deepEqual(metrics.byList.map(l => [l.name, l.count, l.cycleTime.median]), [['Priority', 2, 3 * DAY], ['QA/Usability', 1, 12 * HOUR]]);
+  assert.deepEqual(metrics.byEngineer.map(e => [e.name, e.count, e.leadTime.median]), [['Donald Ma', 1, 2 * DAY], ['Sarah Dong', 2, 8 * DAY]]);
+  assert.deepEqual(metrics.timeInStatus, [
+    { status: 'to do', totalMs: 8 * DAY, share: 0.8 },
+    { status: 'in progress', totalMs: 1.5 * DAY, share: 0.15 },
+    { status: 'in review', totalMs: 0.5 * DAY, share: 0.05 },
+  ]);
+});
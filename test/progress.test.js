@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFeatureProgress } = require('../lib/progress');
+const { HOUR, DAY, WEDNESDAY, useTestConfig, makeTask } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+const at = ms => new Date(ms).toISOString();
+
+test('buildFeatureProgress counts done tasks and milestones and tasks per status', () => {
+  const tasks = [
+    makeTask({ id: 'm1', custom_item_id: 1, status: 'complete' }),
+    makeTask({ id: 'm2', custom_item_id: 1, status: 'in progress' }),
+    makeTask({ id: 'a', status: 'complete' }),
+    makeTask({ id: 'b', status: 'in review' }),
+    makeTask({ id: 'c', status: 'in progress' }),
+    makeTask({ id: 'd', status: 'in progress', date_closed: WEDNESDAY - DAY }),
+  ];
+
+  const progress = buildFeatureProgress(tasks, {}, null, WEDNESDAY);
+
+  assert.deepEqual(progress.tasks, { done: 2, total: 4, percent: 50 });
+  assert.deepEqual(progress.milestones, { done: 1, total: 2, percent: 50 });
+  assert.deepEqual(progress.statusCounts, [
+    { status: 'in progress', count: 2 },
+    { status: 'in review', count: 1 },
+    { status: 'complete', count: 1 },
+  ]);
+});
+
+test('buildFeatureProgress builds the burndown from status history, falling back to done dates', () => {
+  const tasks = [
+    makeTask({ id: 'a', status: 'complete', date_created: WEDNESDAY - 5 * DAY, date_closed: WEDNESDAY - 2 * DAY }),
+    makeTask({ id: 'b', status: 'in progress', date_created: WEDNESDAY - 5 * DAY }),
+    makeTask({ id: 'c', status: 'complete', date_created: WEDNESDAY - 5 * DAY }),
+    makeTask({ id: 'd', status: 'in review', date_created: WEDNESDAY - 1.5 * DAY }),
+  ];
+  const statusSnapshot = {
+    b: { status: 'in progress', since: at(WEDNESDAY - 10 * DAY) },
+    c: { status: 'complete', since: at(WEDNESDAY - DAY), history: [
+      { status: 'in review', since: at(WEDNESDAY - 4 * DAY) },
+      { status: 'complete', since: at(WEDNESDAY - DAY) },
+    ] },
+  };
+
+  const { burndown } = buildFeatureProgress(tasks, statusSnapshot, null, WEDNESDAY);
+
+  assert.deepEqual(burndown.points.map(p => p.remaining), [3, 3, 3, 2, 2, 2]);
+  assert.equal(burndown.points[0].date, 'Feb 27, 2026');
+  assert.equal(burndown.points[5].date, 'Mar 4, 2026');
+});
+
+test('buildFeatureProgress keeps the burndown to the last four weeks', () => {
+  const tasks = [makeTask({ id: 'old', date_created: WEDNESDAY - 90 * DAY })];
+  const progress = buildFeatureProgress(tasks, {}, String(Date.parse('2025-12-01T08:00:00Z')), WEDNESDAY);
+  assert.equal(progress.burndown.points.length, 29);
+  assert.equal(buildFeatureProgress([], {}, null, WEDNESDAY).burndown, null);
+  assert.deepEqual(buildFeatureProgress([], {}, null, WEDNESDAY).tasks, { done: 0, total: 0, percent: null });
+});
+
+test('buildFeatureProgress starts the burndown on the day the feature starts', () => {
+  // Tuesday Feb 24, 2026 at midnight and at 11 PM in Los Angeles
+  const midnight = Date.parse('2026-02-24T08:00:00Z');
+  const tasks = [makeTask({ id: 'a', date_created: WEDNESDAY - 2 * DAY })];
+
+  for (const start of [midnight, midnight + 23 * HOUR]) {
+    const { burndown } = buildFeatureProgress(tasks, {}, String(start), WEDNESDAY);
+    assert.equal(burndown.points[0].date, 'Feb 24, 2026');
+    assert.equal(burndown.points.length, 9);
+  }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate-limiter');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('schedule runs at most `concurrency` tasks at once and keeps results in order', async () => {
+  const limiter = createRateLimiter({ limit: 100, windowMs: 1000, concurrency: 2 });
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(10);
+    active--;
+    return n * 10;
+  })));
+
+  assert.deepEqual(results, [10, 20, 30, 40, 50]);
+  assert.equal(maxActive, 2);
+});
+
+test('schedule waits for the bucket to refill once it is empty', async () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 200, concurrency: 10 });
+  const start = Date.now();
+  const startedAt = await Promise.all([1, 2, 3].map(() => limiter.schedule(() => Date.now() - start)));
+
+  assert.ok(startedAt[1] < 50, `second task started after ${startedAt[1]}ms`);
+  assert.ok(startedAt[2] >= 90, `third task started after ${startedAt[2]}ms`);
+});
+
+test('update holds requests until the reset time once the server reports none remaining', async () => {
+  const limiter = createRateLimiter({ limit: 100, windowMs: 1000, concurrency: 4 });
+  const reset = Math.ceil((Date.now() + 100) / 1000);
+  limiter.update(new Headers({ 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) }));
+
+  await limiter.schedule(() => {});
+
+  assert.ok(Date.now() >= reset * 1000, 'ran before X-RateLimit-Reset');
+});
+
+test('a rejected task rejects its own promise without stalling the queue', async () => {
+  const limiter = createRateLimiter({ limit: 100, windowMs: 1000, concurrency: 1 });
+  const failing = limiter.schedule(async () => {
+    throw new Error('boom');
+  });
+  const next = limiter.schedule(() => 'ok');
+
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'ok');
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateHTML, generateSummaryHTML, renderDueDateWithChange } = require('../lib/render-html');
+const { DAY, WEDNESDAY, MONDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+function makeReport(generatedAt, sections = {}) {
+  return {
+    generatedAt,
+    completedTasks: [],
+    blockedTasks: [],
+    taskUpdates: [],
+    recentlyCreated: [],
+    featureUpdates: [],
+    ...sections,
+  };
+}
+
+test('generateHTML renders empty sections with the activity window', () => {
+  const html = generateHTML(makeReport(MONDAY));
+  assert.match(html, /<span class="date">March 9, 2026<\/span>/);
+  assert.match(html, /No tasks completed since Friday\./);
+  assert.match(html, /No blocked tasks\./);
+  assert.match(html, /No task updates\./);
+  assert.match(html, /No tasks created since Friday\./);
+  assert.match(html, /No feature updates\./);
+});
+
+test('generateHTML escapes task content', () => {
+  const completed = [{
+    name: '<script>alert(1)</script>',
+    url: 'https://example.com/?a=1&b="2"',
+    initials: ['DM'],
+    completedDate: 'Mar 4, 2026',
+    note: 'Use <b> & friends',
+  }];
+  const html = generateHTML(makeReport(WEDNESDAY, { completedTasks: completed }));
+  assert.ok(!html.includes('<script>alert'));
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /href="https:\/\/example\.com\/\?a=1&amp;b=&quot;2&quot;"/);
+  assert.match(html, /Notes: Use &lt;b&gt; &amp; friends/);
+});
+
+test('generateHTML shows a priority badge in ClickUp\'s color', () => {
+  const completed = [
+    { name: 'Hotfix', url: null, priority: { priority: 'urgent' }, initials: [], completedDate: 'Mar 4, 2026', note: null },
+    { name: 'Polish', url: null, priority: { priority: 'low', color: '#aabbcc' }, initials: [], completedDate: 'Mar 4, 2026', note: null },
+    { name: 'Chore', url: null, priority: null, initials: [], completedDate: 'Mar 4, 2026', note: null },
+  ];
+  const html = generateHTML(makeReport(WEDNESDAY, { completedTasks: completed }));
+  assert.match(html, /<strong>Hotfix<\/strong> <span style="[^"]*border:1px solid #f50000;[^"]*"><span style="color:#f50000;">&#9873;<\/span> urgent<\/span>/);
+  assert.match(html, /<strong>Polish<\/strong> <span style="[^"]*#aabbcc[^"]*">.*low<\/span>/);
+  assert.match(html, /<strong>Chore<\/strong> \| Completed/);
+});
+
+test('generateHTML marks overdue due dates, struck-through slips and status changes', () => {
+  const blocked = [{
+    name: 'Blocked task',
+    url: null,
+    initials: [],
+    listName: 'Priority',
+    startDate: 'Feb 20, 2026',
+    dueDate: 'Mar 2, 2026',
+    startDateHistory: [],
+    dueDateHistory: ['Feb 27, 2026'],
+    statusChange: { oldStatus: 'in progress', newStatus: 'blocked' },
+    note: null,
+  }];
+  const html = generateHTML(makeReport(WEDNESDAY, { blockedTasks: blocked }));
+  assert.match(html, /line-through;color:#999;">Feb 27, 2026<\/span> <strong style="color:#b71c1c;font-weight:bold;">Mar 2, 2026<\/strong>/);
+  assert.match(html, /Status Change: <span style="color:#1a3e7a;">in progress<\/span> &rarr; <span style="color:#c62828;">blocked<\/span>/);
+});
+
+test('generateHTML flags stale time in status using the configured thresholds', () => {
+  const update = {
+    name: 'Review me',
+    url: null,
+    initials: ['SD'],
+    status: 'in review',
+    listName: 'Priority',
+    startDate: 'TBD',
+    dueDate: 'TBD',
+    startDateHistory: [],
+    dueDateHistory: [],
+    statusChange: null,
+    note: null,
+    timeInStatus: 4 * DAY,
+  };
+  assert.match(generateHTML(makeReport(WEDNESDAY, { taskUpdates: [update] })), /color:#e65100;font-weight:bold;">\(4d\)/);
+  assert.match(generateHTML(makeReport(WEDNESDAY, { taskUpdates: [{ ...update, status: 'in progress' }] })), /color:#888;">\(4d\)/);
+});
+
+test('renderDueDateWithChange does not flag completed work as overdue', () => {
+  assert.equal(renderDueDateWithChange('Jan 1, 2026', [], 'complete', WEDNESDAY), 'Jan 1, 2026');
+});
+
+test('generateHTML adds the By Engineer section when the report has one', () => {
+  assert.doesNotMatch(generateHTML(makeReport(WEDNESDAY)), /By Engineer/);
+
+  const task = { id: 'u1', name: 'Going', url: null, priority: null, status: 'in progress', listName: 'Priority', dueDate: 'Mar 10, 2026', note: 'Halfway' };
+  const engineers = [
+    { name: 'Sarah Dong', initials: 'SD', completed: [], blocked: [], inProgress: [task], overdue: [] },
+    { name: 'Alex Fex', initials: 'AF', completed: [], blocked: [], inProgress: [], overdue: [] },
+  ];
+  const html = generateHTML(makeReport(WEDNESDAY, { engineers }));
+
+  assert.match(html, /By Engineer/);
+  assert.match(html, /Sarah Dong \(SD\)/);
+  assert.match(html, /In Progress \(1\)/);
+  assert.match(html, /Notes: Halfway/);
+  assert.match(html, /Alex Fex \(AF\)<\/div>\n.*No tracked activity\./);
+});
+
+test('generateHTML shows a data incomplete banner only when there are gaps', () => {
+  assert.doesNotMatch(generateHTML(makeReport(WEDNESDAY, { dataGaps: [] })), /Data incomplete/);
+  const html = generateHTML(makeReport(WEDNESDAY, { dataGaps: ['Time in status (1 request failed)'] }));
+  assert.match(html, /<strong>Data incomplete:<\/strong> Time in status \(1 request failed\)\./);
+});
+
+test('generateHTML tags each item for the filter bar and inlines its script', () => {
+  const update = {
+    name: 'Going', url: null, priority: { priority: 'high' }, initials: ['SD', 'AF'], status: 'In Review', listName: 'QA/Usability',
+    startDate: 'TBD', dueDate: 'TBD', startDateHistory: [], dueDateHistory: [], statusChange: null, statusHistory: null, note: null, timeInStatus: null,
+  };
+  const blocked = { ...update, name: 'Stuck', priority: null, initials: ['DM'], listName: 'Priority' };
+  const html = generateHTML(makeReport(WEDNESDAY, { taskUpdates: [update], blockedTasks: [blocked] }));
+
+  assert.match(html, /<div class="item" data-initials="SD AF" data-list="QA\/Usability" data-status="in review" data-priority="high">\n.*Going/);
+  assert.match(html, /<div class="item" data-initials="DM" data-list="Priority" data-status="blocked" data-priority="none">/);
+  assert.match(html, /<div class="section" data-section="updates">\n  <div class="section-title">Task Updates<\/div>/);
+  assert.match(html, /<select data-filter="initials" aria-label="engineers"><option value="">All engineers<\/option><option value="AF">AF<\/option><option value="DM">DM<\/option><option value="SD">SD<\/option><\/select>/);
+  assert.match(html, /<select data-filter="status"[^>]*><option value="">All statuses<\/option><option value="in review">in review<\/option><option value="blocked">blocked<\/option>/);
+  assert.match(html, /<option value="high">high<\/option><option value="none">no priority<\/option><\/select>/);
+  assert.match(html, /<input type="search" id="filter-search"/);
+  assert.match(html, /<script>[\s\S]*getElementById\('filters'\)[\s\S]*<\/script>/);
+  assert.doesNotMatch(html, /<script[^>]+src=|<link[^>]+href=/);
+});
+
+test('generateHTML leaves out the filter bar and script when not interactive', () => {
+  const html = generateHTML(makeReport(WEDNESDAY), { interactive: false });
+  assert.doesNotMatch(html, /id="filters"|<script>/);
+  assert.match(html, /<div class="section" data-section="completed">/);
+});
+
+const progressFeature = {
+  id: 'L1', name: 'Search', initials: [], status: 'On track', startDate: 'TBD', dueDate: 'Mar 6, 2026',
+  startDateHistory: [], dueDateHistory: [], dailyReportNote: '',
+  milestones: [
+    { id: 'm1', name: 'Indexing', status: 'in progress', dueDate: 'Mar 2, 2026', dueDateHistory: [], recentChanges: [] },
+    { id: 'm2', name: 'Ranking', status: 'to do', dueDate: 'Mar 20, 2026', dueDateHistory: [], recentChanges: [] },
+  ],
+  progress: {
+    tasks: { done: 3, total: 5, percent: 60 },
+    milestones: { done: 0, total: 2, percent: 0 },
+    statusCounts: [{ status: 'in progress', count: 2 }, { status: 'complete', count: 3 }],
+    burndown: { points: [{ date: 'Mar 2, 2026', remaining: 5 }, { date: 'Mar 3, 2026', remaining: 4 }, { date: 'Mar 4, 2026', remaining: 2 }] },
+  },
+};
+
+test('generateHTML shows feature progress, an SVG burndown and milestone due dates', () => {
+  const html = generateHTML(makeReport(WEDNESDAY, { featureUpdates: [progressFeature] }));
+  assert.match(html, /Progress: 60% of tasks done \(3\/5\) \| 0 of 2 milestones done/);
+  assert.match(html, /Tasks by status: <span[^>]*>in progress<\/span> 2, <span[^>]*>complete<\/span> 3/);
+  assert.match(html, /<svg width="240" height="60"[^>]*><title>Open tasks: 5 on Mar 2, 2026, 2 on Mar 4, 2026<\/title>/);
+  // Two days of points on a four-day axis ending at the due date, with the ideal line reaching zero there
+  assert.match(html, /<line x1="4.0" y1="4.0" x2="236.0" y2="56.0"/);
+  assert.match(html, /<polyline points="4.0,4.0 62.0,14.4 120.0,35.2"/);
+  assert.match(html, /Indexing \| <span[^>]*>in progress<\/span> \| Due: <span style="color:#b71c1c;font-weight:bold;">Mar 2, 2026<\/span>/);
+  assert.match(html, /Ranking \| <span[^>]*>to do<\/span> \| Due: Mar 20, 2026/);
+});
+
+test('generateSummaryHTML shows count changes and date slips for the period', () => {
+  const summary = {
+    title: 'Weekly Summary',
+    since: WEDNESDAY - 6 * DAY,
+    until: WEDNESDAY,
+    completed: [],
+    created: [],
+    counts: { baselineDate: 'February 25, 2026', blocked: { start: 4, end: 6, change: 2 }, overdue: { start: 2, end: 1, change: -1 } },
+    featureChanges: [],
+    slips: [{ kind: 'milestone', id: 'm1', name: 'Indexing', url: null, from: 'Mar 13, 2026', to: 'Mar 20, 2026', changedDate: 'Mar 1, 2026' }],
+  };
+  const html = generateSummaryHTML(summary);
+
+  assert.match(html, /<title>Weekly Summary<\/title>/);
+  assert.match(html, /<span class="date">Feb 26, 2026 &ndash; Mar 4, 2026<\/span>/);
+  assert.match(html, /Blocked: 4 &rarr; <strong>6<\/strong> <span style="color:#b71c1c;">\(\+2\)<\/span>/);
+  assert.match(html, /Overdue: 2 &rarr; <strong>1<\/strong> <span style="color:#2e7d32;">\(-1\)<\/span>/);
+  assert.match(html, /<strong>Indexing<\/strong> <span style="color:#888;">\(Milestone\)<\/span> \| Due: <span style="text-decoration:line-through;color:#999;">Mar 13, 2026<\/span> <strong>Mar 20, 2026<\/strong>/);
+  assert.match(html, /No tasks completed in this period\./);
+  assert.doesNotMatch(html, /<script>/);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../report.schema.json');
+const { generateJSON, REPORT_SCHEMA_VERSION } = require('../lib/render-json');
+const { HOUR, DAY, WEDNESDAY, MONDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+// Just enough JSON Schema to check the output against report.schema.json:
+// type, const, enum, required, properties, additionalProperties, items and local $refs.
+function schemaErrors(value, node, where = '$') {
+  if (node.$ref) node = node.$ref.split('/').slice(1).reduce((n, key) => n[key], schema);
+  const errors = [];
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  if ('const' in node && value !== node.const) errors.push(`${where}: expected ${node.const}`);
+  if (node.enum && !node.enum.includes(value)) errors.push(`${where}: ${JSON.stringify(value)} not in enum`);
+  if (node.type) {
+    const types = [].concat(node.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${where}: expected ${types.join('|')}, got ${actual}`];
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of node.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing ${key}`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (node.properties?.[key]) errors.push(...schemaErrors(child, node.properties[key], `${where}.${key}`));
+      else if (node.additionalProperties === false) errors.push(`${where}: undocumented property ${key}`);
+    }
+  }
+  if (typeOf(value) === 'array' && node.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(item, node.items, `${where}[${i}]`)));
+  }
+  return errors;
+}
+
+const dates = { startDate: 'Feb 20, 2026', dueDate: 'Mar 2, 2026', startDateHistory: [], dueDateHistory: ['Feb 27, 2026'] };
+
+const fullReport = {
+  generatedAt: WEDNESDAY,
+  completedTasks: [{
+    id: 'c1', name: 'Done', url: 'https://app.clickup.com/t/c1', priority: { priority: 'high', color: '#f8ae00' },
+    initials: ['DM'], listName: 'Priority', startDate: 'TBD', completedDate: 'Mar 4, 2026', startDateHistory: [],
+    statusChange: { oldStatus: 'in qa', newStatus: 'complete', changeTime: 'Mar 4, 8:00 AM' }, note: 'Shipped',
+  }],
+  blockedTasks: [{
+    id: 'b1', name: 'Stuck', url: null, priority: null, initials: [], listName: 'Priority', ...dates,
+    statusChange: null, note: null,
+  }],
+  taskUpdates: [{
+    id: 'u1', name: 'Going', url: null, priority: null, initials: ['SD'], status: 'in review', listName: 'Priority',
+    ...dates, statusChange: null, note: null, timeInStatus: 2 * DAY,
+    statusHistory: { transitions: 1, timeInStatus: { 'in progress': DAY, 'in review': DAY }, regressions: [] },
+  }],
+  recentlyCreated: [{ id: 'r1', name: 'New', url: null, priority: { priority: 'low' }, initials: [], listName: 'Priority', note: null }],
+  featureUpdates: [{
+    id: 'L1', name: 'Search', initials: ['AF'], status: 'On track', originalSizing: '10 days', sizingAfterPlanning: 'TBD',
+    originalSizingDays: 10, sizingAfterPlanningDays: null, dailyReportNote: '', ...dates,
+    milestones: [
+      {
+        id: 'm1', name: 'Indexing', url: null, priority: null, initials: [], status: 'in progress', ...dates, statusChange: null,
+        recentChanges: [{ id: 's1', name: 'Sub', url: null, statusChange: { oldStatus: null, newStatus: 'in qa', changeTime: null } }],
+      },
+      {
+        id: null, name: 'Other', url: null, priority: null, initials: [], status: '', startDate: null, dueDate: null,
+        previousStartDate: null, previousDueDate: null, statusChange: null,
+        recentChanges: [{ id: 's2', name: 'Loose', url: null, statusChange: { oldStatus: 'to do', newStatus: 'in progress', changeTime: null } }],
+      },
+    ],
+    progress: {
+      tasks: { done: 1, total: 2, percent: 50 },
+      milestones: { done: 0, total: 1, percent: 0 },
+      statusCounts: [{ status: 'in progress', count: 1 }, { status: 'complete', count: 1 }],
+      burndown: { points: [{ date: 'Mar 3, 2026', remaining: 2 }, { date: 'Mar 4, 2026', remaining: 1 }] },
+    },
+  }],
+};
+
+test('generateJSON output matches report.schema.json', () => {
+  const json = JSON.parse(generateJSON(fullReport));
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.equal(json.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(schema.properties.schemaVersion.const, REPORT_SCHEMA_VERSION);
+});
+
+test('generateJSON records the run time and activity window', () => {
+  const json = JSON.parse(generateJSON({ ...fullReport, generatedAt: MONDAY }));
+  assert.equal(json.generatedAt, '2026-03-09T16:00:00.000Z');
+  assert.equal(json.reportDate, 'March 9, 2026');
+  assert.equal(json.timezone, 'America/Los_Angeles');
+  assert.deepEqual(json.activityWindow, { since: new Date(MONDAY - 72 * HOUR).toISOString(), label: 'since Friday' });
+  assert.deepEqual(json.dataGaps, []);
+});
+
+test('generateJSON normalizes priorities, overdue flags and time in status', () => {
+  const json = JSON.parse(generateJSON(fullReport));
+  assert.equal(json.completedTasks[0].priority, 'high');
+  assert.equal(json.recentlyCreated[0].priority, 'low');
+  assert.equal(json.blockedTasks[0].overdue, true);
+  assert.equal(json.taskUpdates[0].timeInStatusMs, 2 * DAY);
+  assert.equal(json.featureUpdates[0].dailyReportNote, null);
+  assert.deepEqual(json.featureUpdates[0].milestones[1].startDateHistory, []);
+  assert.equal(json.featureUpdates[0].milestones[1].status, null);
+});
+
+test('generateJSON lists engineer groups as task ids when present', () => {
+  assert.equal(JSON.parse(generateJSON(fullReport)).engineers, undefined);
+
+  const engineers = [{
+    name: 'Sarah Dong', initials: 'SD', completed: [], blocked: fullReport.blockedTasks,
+    inProgress: fullReport.taskUpdates, overdue: fullReport.blockedTasks,
+  }];
+  const json = JSON.parse(generateJSON({ ...fullReport, engineers }));
+
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.deepEqual(json.engineers, [{ name: 'Sarah Dong', initials: 'SD', completed: [], blocked: ['b1'], inProgress: ['u1'], overdue: ['b1'] }]);
+});
+
+test('generateJSON includes schedule health when present', () => {
+  const scheduleHealth = [{
+    id: 'L1', kind: 'feature', name: 'Search', url: null, feature: null, dueDate: 'Mar 2, 2026',
+    dueDateHistory: ['Feb 27, 2026'], slips: 1, daysSlipped: 3, slippedThisWindow: false,
+  }];
+  const json = JSON.parse(generateJSON({ ...fullReport, scheduleHealth }));
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.deepEqual(json.scheduleHealth, scheduleHealth);
+});
+
+test('generateJSON includes stale work when present', () => {
+  const staleWork = [{
+    id: 's1', name: 'Quiet', url: null, priority: { priority: 'urgent' }, initials: [], members: [], listName: 'Priority',
+    status: 'in review', timeInStatus: null, statusStale: false, lastActivity: null, inactiveDays: null,
+  }];
+  const json = JSON.parse(generateJSON({ ...fullReport, staleWork }));
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.equal(json.staleWork[0].priority, 'urgent');
+});
+
+test('generateJSON includes unowned work when present', () => {
+  const unownedWork = [{
+    id: 'u1', name: 'Orphan', url: null, priority: null, status: 'in review', listName: 'v1.5 Search', feature: 'Search',
+    owner: 'outside', assignees: ['Contractor'],
+  }];
+  const json = JSON.parse(generateJSON({ ...fullReport, unownedWork }));
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.deepEqual(json.unownedWork[0], { ...unownedWork[0] });
+});
+
+test('generateJSON includes estimates vs actuals when present', () => {
+  const estimates = {
+    features: [{
+      id: 'L1', name: 'Search', state: 'completed', startDate: 'Feb 16, 2026', completedDate: 'Feb 27, 2026',
+      elapsedDays: 10, originalSizingDays: 7.5, sizingAfterPlanningDays: null, ratio: 1.33, originalRatio: 1.33,
+    }],
+    trend: { completed: 1, medianRatio: 1.33, earlierMedian: null, laterMedian: null, direction: null },
+  };
+  const json = JSON.parse(generateJSON({ ...fullReport, estimates }));
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.deepEqual(json.estimates, estimates);
+});
+
+test('generateJSON includes flow metrics when present', () => {
+  const stats = { count: 2, median: DAY, p85: 2 * DAY };
+  const group = { count: 2, cycleTime: stats, leadTime: stats };
+  const flowMetrics = {
+    windowDays: 30, since: WEDNESDAY - 30 * DAY, overall: group,
+    byList: [{ name: 'Priority', ...group }], byEngineer: [{ name: 'Sarah Dong', ...group }],
+    timeInStatus: [{ status: 'in progress', totalMs: 3 * DAY, share: 1 }],
+  };
+  const json = JSON.parse(generateJSON({ ...fullReport, flowMetrics }));
+
+  assert.deepEqual(schemaErrors(json, schema), []);
+  assert.equal(json.flowMetrics.since, '2026-02-02T17:00:00.000Z');
+});
@@ -0,0 +1,246 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateText } = require('../lib/render-text');
+const { getRenderer } = require('../lib/renderers');
+const { DAY, WEDNESDAY, MONDAY, useTestConfig } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+function emptyReport(generatedAt) {
+  return { generatedAt, completedTasks: [], blockedTasks: [], taskUpdates: [], recentlyCreated: [], featureUpdates: [] };
+}
+
+const blockedTask = {
+  name: 'Fix *all* the <things>',
+  url: 'https://app.clickup.com/t/b1',
+  initials: ['SD'],
+  listName: 'Priority',
+  startDate: 'Feb 20, 2026',
+  dueDate: 'Mar 2, 2026',
+  startDateHistory: [],
+  dueDateHistory: ['Feb 27, 2026'],
+  statusChange: { oldStatus: 'in progress', newStatus: 'blocked' },
+  note: 'Waiting on API keys',
+};
+
+test('generateText renders empty sections in every flavor', () => {
+  for (const flavor of ['slack', 'markdown', 'text']) {
+    const text = generateText(emptyReport(MONDAY), flavor);
+    assert.match(text, /March 9, 2026/);
+    assert.match(text, /No tasks completed since Friday\./);
+    assert.match(text, /No feature updates\./);
+  }
+});
+
+test('slack flavor uses mrkdwn links, strikes and escapes', () => {
+  const text = generateText({ ...emptyReport(WEDNESDAY), blockedTasks: [blockedTask] }, 'slack');
+  assert.match(text, /^\*Blocked Tasks\*$/m);
+  assert.ok(text.includes('• <https://app.clickup.com/t/b1|*Fix *all* the &lt;things&gt;*> (SD) | Priority'));
+  assert.ok(text.includes('Due: ~Feb 27, 2026~ *Mar 2, 2026* *(overdue)*'));
+  assert.ok(text.includes('    Status Change: in progress → blocked'));
+  assert.ok(text.includes('    Notes: Waiting on API keys'));
+});
+
+test('markdown flavor uses GitHub syntax and escapes markdown characters', () => {
+  const text = generateText({ ...emptyReport(WEDNESDAY), blockedTasks: [blockedTask] }, 'markdown');
+  assert.match(text, /^# Daily Activity Report$/m);
+  assert.match(text, /^## Blocked Tasks$/m);
+  assert.ok(text.includes('- [**Fix \\*all\\* the \\<things\\>**](https://app.clickup.com/t/b1) (SD)'));
+  assert.ok(text.includes('Due: ~~Feb 27, 2026~~ **Mar 2, 2026** **(overdue)**'));
+  assert.ok(text.includes('  - Notes: Waiting on API keys'));
+});
+
+test('text flavor has no markup', () => {
+  const text = generateText({ ...emptyReport(WEDNESDAY), blockedTasks: [blockedTask] }, 'text');
+  assert.match(text, /^BLOCKED TASKS$/m);
+  assert.ok(text.includes('- Fix *all* the <things> (https://app.clickup.com/t/b1) (SD) | Priority'));
+  assert.ok(text.includes('Due: Mar 2, 2026 (was Feb 27, 2026) (overdue)'));
+  assert.ok(text.includes('Status Change: in progress -> blocked'));
+});
+
+test('every flavor marks the task priority after its name', () => {
+  const task = { ...blockedTask, name: 'Hotfix', url: null, priority: { priority: 'urgent', color: '#f50000' } };
+  const report = { ...emptyReport(WEDNESDAY), blockedTasks: [task, { ...task, name: 'Chore', priority: null }] };
+  assert.ok(generateText(report, 'slack').includes('• *Hotfix* [urgent] (SD)'));
+  assert.ok(generateText(report, 'markdown').includes('- **Hotfix** [urgent] (SD)'));
+  assert.ok(generateText(report, 'text').includes('- Hotfix [urgent] (SD)'));
+  assert.ok(generateText(report, 'text').includes('- Chore (SD)'));
+});
+
+test('task updates show time in status and flag stale work', () => {
+  const update = {
+    name: 'Review me',
+    url: null,
+    initials: [],
+    status: 'in review',
+    listName: 'Priority',
+    startDate: 'TBD',
+    dueDate: 'TBD',
+    startDateHistory: [],
+    dueDateHistory: [],
+    statusChange: null,
+    note: null,
+    timeInStatus: 4 * DAY,
+  };
+  const stale = generateText({ ...emptyReport(WEDNESDAY), taskUpdates: [update] }, 'text');
+  assert.ok(stale.includes('- Review me | in review (4d, stale) | Priority | Start: TBD | Due: TBD'));
+  const fresh = generateText({ ...emptyReport(WEDNESDAY), taskUpdates: [{ ...update, timeInStatus: DAY }] }, 'text');
+  assert.ok(fresh.includes('| in review (1d) |'));
+
+  const statusHistory = {
+    transitions: 2,
+    timeInStatus: { 'in review': 2 * DAY, 'in progress': DAY },
+    regressions: [{ from: 'in review', to: 'in progress', at: null }],
+  };
+  const bounced = generateText({ ...emptyReport(WEDNESDAY), taskUpdates: [{ ...update, statusHistory }] }, 'text');
+  assert.ok(bounced.includes('    History: 2 status changes | regressed in review -> in progress | in review 2d, in progress 1d\n'));
+});
+
+test('feature updates list milestones with their recent changes', () => {
+  const feature = {
+    name: 'Search',
+    initials: ['AF'],
+    status: 'On track',
+    startDate: 'TBD',
+    dueDate: 'Mar 20, 2026',
+    startDateHistory: [],
+    dueDateHistory: [],
+    dailyReportNote: 'Demo Friday',
+    milestones: [
+      { name: 'Quiet', recentChanges: [] },
+      { name: 'Indexing', recentChanges: [{ name: 'Sub one', url: null, statusChange: { oldStatus: null, newStatus: 'in qa' } }] },
+    ],
+  };
+  const text = generateText({ ...emptyReport(WEDNESDAY), featureUpdates: [feature] }, 'markdown');
+  assert.ok(text.includes('- **Search** (AF) | Due: Mar 20, 2026\n  - Status: On track\n  - _Indexing_\n    - **Sub one** | Status: in qa\n  - Notes: Demo Friday'));
+  assert.ok(!text.includes('Quiet'));
+});
+
+const progressFeature = {
+  id: 'L1', name: 'Search', initials: [], status: 'On track', startDate: 'TBD', dueDate: 'Mar 6, 2026',
+  startDateHistory: [], dueDateHistory: [], dailyReportNote: '',
+  milestones: [
+    { id: 'm1', name: 'Indexing', status: 'in progress', dueDate: 'Mar 2, 2026', dueDateHistory: [], recentChanges: [] },
+    { id: 'm2', name: 'Ranking', status: 'to do', dueDate: 'Mar 20, 2026', dueDateHistory: [], recentChanges: [] },
+  ],
+  progress: {
+    tasks: { done: 3, total: 5, percent: 60 },
+    milestones: { done: 0, total: 2, percent: 0 },
+    statusCounts: [{ status: 'in progress', count: 2 }, { status: 'complete', count: 3 }],
+    burndown: { points: [{ date: 'Mar 2, 2026', remaining: 5 }, { date: 'Mar 3, 2026', remaining: 4 }, { date: 'Mar 4, 2026', remaining: 2 }] },
+  },
+};
+
+test('feature updates show progress, open tasks and milestone due dates', () => {
+  const text = generateText({ ...emptyReport(WEDNESDAY), featureUpdates: [progressFeature] }, 'text');
+  assert.ok(text.includes([
+    '    Status: On track',
+    '    Progress: 60% of tasks done (3/5) | 0 of 2 milestones done',
+    '    Tasks by status: in progress 2, complete 3',
+    '    Open tasks: 5 -> 2 since Mar 2, 2026',
+    '    Milestones',
+    '        Indexing | in progress | Due: Mar 2, 2026 (overdue)',
+    '        Ranking | to do | Due: Mar 20, 2026',
+  ].join('\n')));
+});
+
+test('by engineer section is only rendered when the report has one', () => {
+  assert.doesNotMatch(generateText(emptyReport(WEDNESDAY), 'text'), /BY ENGINEER/);
+
+  const engineers = [
+    {
+      name: 'Sarah Dong', initials: 'SD', completed: [], inProgress: [],
+      blocked: [{ ...blockedTask, url: null, name: 'Stuck' }], overdue: [{ ...blockedTask, url: null, name: 'Stuck' }],
+    },
+    { name: 'Alex Fex', initials: 'AF', completed: [], blocked: [], inProgress: [], overdue: [] },
+  ];
+  const text = generateText({ ...emptyReport(WEDNESDAY), engineers }, 'text');
+
+  assert.match(text, /BY ENGINEER\n- Sarah Dong \(SD\)\n    Blocked \(1\)\n        Stuck \| Priority \| Due: Mar 2, 2026 \(was Feb 27, 2026\) \(overdue\)\n            Notes: Waiting on API keys\n    Overdue \(1\)\n        Stuck \| Due: Mar 2, 2026\n/);
+  assert.match(text, /- Alex Fex \(AF\)\n    No tracked activity\.\n$/);
+});
+
+test('a data incomplete banner follows the date when there are gaps', () => {
+  const text = generateText({ ...emptyReport(WEDNESDAY), dataGaps: ['Task comments (3 requests failed)'] }, 'markdown');
+  assert.match(text, /March 4, 2026\n\n\*\*Data incomplete:\*\* Task comments \(3 requests failed\)\. Notes and time in status may be missing\.\n/);
+});
+
+test('flow metrics list median and p85 per group and where time goes', () => {
+  const stats = { count: 2, median: 1.5 * DAY, p85: 4 * DAY };
+  const group = { count: 2, cycleTime: stats, leadTime: { count: 0, median: null, p85: null } };
+  const flowMetrics = {
+    windowDays: 30, since: WEDNESDAY - 30 * DAY, overall: group,
+    byList: [{ name: 'Priority', ...group }], byEngineer: [],
+    timeInStatus: [{ status: 'in progress', totalMs: 3 * DAY, share: 0.75 }, { status: 'in review', totalMs: DAY, share: 0.25 }],
+  };
+  const text = generateText({ ...emptyReport(WEDNESDAY), flowMetrics }, 'text');
+
+  assert.ok(text.includes('FLOW METRICS\n- Overall (last 30 days): cycle 1.5d median, 4.0d p85 | lead n/a | 2 tasks\n- By list\n    Priority: cycle'));
+  assert.ok(text.includes('- Where time goes\n    in progress: 75% (3.0d)\n    in review: 25% (1.0d)\n'));
+
+  const empty = { ...flowMetrics, overall: { ...group, count: 0 } };
+  assert.match(generateText({ ...emptyReport(WEDNESDAY), flowMetrics: empty }, 'text'), /No tasks completed in the last 30 days\./);
+});
+
+test('schedule health lists slips and flags items that slipped again', () => {
+  const scheduleHealth = [{
+    id: 'm1', kind: 'milestone', name: 'Indexing', url: null, feature: 'Search', dueDate: 'Mar 27, 2026',
+    dueDateHistory: ['Mar 13, 2026', 'Mar 20, 2026'], slips: 2, daysSlipped: 14, slippedThisWindow: true,
+  }];
+  const text = generateText({ ...emptyReport(WEDNESDAY), scheduleHealth }, 'markdown');
+  assert.ok(text.includes('## Schedule Health\n- **Indexing** (Milestone in Search) | 2 slips, +14 days | Due: ~~Mar 13, 2026~~ ~~Mar 20, 2026~~ **Mar 27, 2026** **(slipped again)**\n'));
+  assert.match(generateText({ ...emptyReport(WEDNESDAY), scheduleHealth: [] }, 'text'), /SCHEDULE HEALTH\nNo slipped due dates\./);
+});
+
+test('stale work shows time in status and days without activity', () => {
+  const staleWork = [{
+    id: 's1', name: 'Quiet', url: null, priority: null, initials: ['DM'], listName: 'Priority', status: 'in review',
+    timeInStatus: 4 * DAY, statusStale: true, lastActivity: 'Feb 24, 2026', inactiveDays: 8,
+  }];
+  const text = generateText({ ...emptyReport(WEDNESDAY), staleWork }, 'text');
+  assert.ok(text.includes('STALE WORK\n- Quiet (DM) | in review (4d, stale) | Priority | Last activity: Feb 24, 2026 (8d ago)\n'));
+});
+
+test('unowned work says whether a task is unassigned or owned outside the team', () => {
+  const unownedWork = [
+    { id: 'u1', name: 'Orphan', url: null, priority: null, status: 'in review', listName: 'Priority', feature: null, owner: 'unassigned', assignees: [] },
+    { id: 'u2', name: 'Indexing', url: null, priority: null, status: 'in development', listName: 'v1.5 Search', feature: 'Search', owner: 'outside', assignees: ['Contractor'] },
+  ];
+  const text = generateText({ ...emptyReport(WEDNESDAY), unownedWork }, 'markdown');
+  assert.ok(text.includes('## Unowned Work\n- **Orphan** | in review | Priority | **Unassigned**\n- **Indexing** | in development | Feature: Search | Assigned outside the team: Contractor\n'));
+  assert.match(generateText({ ...emptyReport(WEDNESDAY), unownedWork: [] }, 'text'), /UNOWNED WORK\nAll in-flight work has an owner on the team\./);
+});
+
+test('feature description problems are listed only when there are any', () => {
+  const featureLint = [{ id: 'L2', name: 'Payments', problems: ['"Status" is missing', '"Original Sizing" is missing'] }];
+  const text = generateText({ ...emptyReport(WEDNESDAY), featureLint }, 'text');
+  assert.ok(text.includes('FEATURE DESCRIPTION PROBLEMS\n- Payments: "Status" is missing; "Original Sizing" is missing\n'));
+  assert.ok(!generateText({ ...emptyReport(WEDNESDAY), featureLint: [] }, 'text').includes('FEATURE DESCRIPTION PROBLEMS'));
+});
+
+test('estimates vs actuals lead with the trend across finished features', () => {
+  const estimates = {
+    features: [
+      { id: 'L2', name: 'Payments', state: 'in progress', startDate: 'Feb 23, 2026', completedDate: null, elapsedDays: 8, originalSizingDays: 4, sizingAfterPlanningDays: null, ratio: 2, originalRatio: 2 },
+      { id: 'L1', name: 'Search', state: 'completed', startDate: 'Feb 16, 2026', completedDate: 'Feb 27, 2026', elapsedDays: 10, originalSizingDays: 8, sizingAfterPlanningDays: 10, ratio: 1, originalRatio: 1.25 },
+    ],
+    trend: { completed: 4, medianRatio: 1.45, earlierMedian: 1, laterMedian: 1.9, direction: 'worsening' },
+  };
+  const text = generateText({ ...emptyReport(WEDNESDAY), estimates }, 'text');
+  assert.ok(text.includes([
+    'ESTIMATES VS ACTUALS',
+    '- 4 finished features took 1.45x their sizing (median) | worsening: 1x -> 1.9x',
+    '- Payments | In progress | 8 working days so far vs 4 sized (2x)',
+    '- Search | Completed Feb 27, 2026 | 10 working days vs 10 sized (1x) | Original: 8 days (1.25x)',
+  ].join('\n')));
+  const empty = generateText({ ...emptyReport(WEDNESDAY), estimates: { features: [], trend: { completed: 0 } } }, 'text');
+  assert.match(empty, /ESTIMATES VS ACTUALS\nNo v1\.5 features with both a start date and a sizing\./);
+});
+
+test('getRenderer maps formats to renderers and rejects unknown ones', () => {
+  const report = emptyReport(WEDNESDAY);
+  assert.match(getRenderer('html').render(report), /^<!DOCTYPE html>/);
+  assert.equal(getRenderer('markdown').extension, '.md');
+  assert.match(getRenderer('slack').render(report), /^\*Daily Activity Report\*/);
+  assert.throws(() => getRenderer('pdf'), /Unknown --format "pdf". Expected one of: html, slack, markdown, text/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { daysSlipped, buildScheduleHealth } = require('../lib/schedule');
+const { useTestConfig, WEDNESDAY, HOUR, DAY } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+});
+
+function dated(id, dueDate, dueDateHistory, fields = {}) {
+  return { id, name: `Item ${id}`, url: null, dueDate, dueDateHistory, startDateHistory: [], ...fields };
+}
+
+test('daysSlipped sums every forward move of the due date', () => {
+  assert.equal(daysSlipped('Mar 20, 2026', ['Mar 6, 2026', 'Mar 13, 2026']), 14);
+  // Pushed out a week, then pulled back in: the slip still counts
+  assert.equal(daysSlipped('Mar 6, 2026', ['Mar 6, 2026', 'Mar 13, 2026']), 7);
+  assert.equal(daysSlipped('Mar 2, 2026', ['Mar 6, 2026']), 0);
+  assert.equal(daysSlipped('Mar 13, 2026', ['Mar 6, 2026', 'TBD']), 7);
+  assert.equal(daysSlipped('TBD', ['Mar 6, 2026']), null);
+});
+
+test('buildScheduleHealth ranks slipped items and flags slips inside the report window', () => {
+  const feature = {
+    ...dated('L1', 'Apr 10, 2026', ['Mar 20, 2026', 'Apr 1, 2026']),
+    name: 'Search',
+    milestones: [
+      dated('m1', 'Mar 27, 2026', ['Mar 20, 2026']),
+      { ...dated(null, null, []), name: 'Other' },
+    ],
+  };
+  const blocked = dated('t1', 'Mar 9, 2026', ['Mar 6, 2026']);
+  const report = {
+    featureUpdates: [feature],
+    blockedTasks: [blocked],
+    taskUpdates: [blocked, dated('t2', 'Mar 9, 2026', [])],
+  };
+  const at = time => new Date(time).toISOString();
+  const dateSnapshot = {
+    feature_L1: { dueDateChanges: [
+      { from: 'Mar 20, 2026', to: 'Apr 1, 2026', at: at(WEDNESDAY - 5 * DAY) },
+      { from: 'Apr 1, 2026', to: 'Apr 10, 2026', at: at(WEDNESDAY - 2 * HOUR) },
+    ] },
+    // Moved two days ago, before the 24 hour window
+    m1: { dueDateChanges: [{ from: 'Mar 20, 2026', to: 'Mar 27, 2026', at: at(WEDNESDAY - 2 * DAY) }] },
+    t1: { dueDateChanges: [{ from: 'Mar 6, 2026', to: 'Mar 9, 2026', at: at(WEDNESDAY) }] },
+  };
+
+  const entries = buildScheduleHealth(report, dateSnapshot, WEDNESDAY);
+
+  assert.deepEqual(entries.map(e => [e.kind, e.id, e.slips, e.daysSlipped, e.slippedThisWindow]), [
+    ['feature', 'L1', 2, 21, true],
+    ['milestone', 'm1', 1, 7, false],
+    ['task', 't1', 1, 3, true],
+  ]);
+  assert.equal(entries[1].feature, 'Search');
+});
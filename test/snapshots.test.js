@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  trackDateChanges,
+  detectStatusChange,
+  allStatusChanges,
+  statusHistory,
+  summarizeStatusHistory,
+} = require('../lib/snapshots');
+const { formatStatusHistory } = require('../lib/helpers');
+const { DAY, WEDNESDAY, useTestConfig, makeTask } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+test('trackDateChanges seeds a snapshot without history', () => {
+  const snapshot = {};
+  const changes = trackDateChanges('t1', 'Mar 1, 2026', 'Mar 5, 2026', snapshot);
+  assert.deepEqual(changes, { startDateHistory: [], dueDateHistory: [] });
+  assert.deepEqual(snapshot.t1, {
+    startDate: 'Mar 1, 2026',
+    dueDate: 'Mar 5, 2026',
+    startDateHistory: [],
+    dueDateHistory: [],
+  });
+});
+
+test('trackDateChanges appends slipped dates to the history', () => {
+  const snapshot = {
+    t1: { startDate: 'Mar 1, 2026', dueDate: 'Mar 5, 2026', startDateHistory: [], dueDateHistory: ['Mar 3, 2026'] },
+  };
+  const changes = trackDateChanges('t1', 'Mar 1, 2026', 'Mar 9, 2026', snapshot);
+  assert.deepEqual(changes.dueDateHistory, ['Mar 3, 2026', 'Mar 5, 2026']);
+  assert.deepEqual(changes.startDateHistory, []);
+  assert.equal(snapshot.t1.dueDate, 'Mar 9, 2026');
+});
+
+test('trackDateChanges timestamps due date changes when given the report time', () => {
+  const snapshot = { t1: { startDate: 'Mar 1, 2026', dueDate: 'Mar 5, 2026', dueDateHistory: [] } };
+  trackDateChanges('t1', 'Mar 1, 2026', 'Mar 9, 2026', snapshot, WEDNESDAY);
+  trackDateChanges('t1', 'Mar 1, 2026', 'Mar 9, 2026', snapshot, WEDNESDAY + DAY);
+  assert.deepEqual(snapshot.t1.dueDateChanges, [{ from: 'Mar 5, 2026', to: 'Mar 9, 2026', at: new Date(WEDNESDAY).toISOString() }]);
+
+  const completed = { t2: { startDate: 'Mar 1, 2026', dueDate: 'Mar 5, 2026' } };
+  trackDateChanges('t2', 'Mar 1, 2026', 'Mar 4, 2026', completed);
+  assert.equal(completed.t2.dueDateChanges, undefined);
+});
+
+test('trackDateChanges does not record TBD as a slip', () => {
+  const snapshot = { t1: { startDate: 'TBD', dueDate: 'TBD' } };
+  const changes = trackDateChanges('t1', 'Mar 1, 2026', 'Mar 5, 2026', snapshot);
+  assert.deepEqual(changes, { startDateHistory: [], dueDateHistory: [] });
+});
+
+test('trackDateChanges handles snapshots written before histories existed', () => {
+  const snapshot = { t1: { startDate: 'Feb 12, 2026', dueDate: 'Feb 12, 2026' } };
+  const changes = trackDateChanges('t1', 'Feb 12, 2026', 'Feb 13, 2026', snapshot);
+  assert.deepEqual(changes.dueDateHistory, ['Feb 12, 2026']);
+});
+
+test('detectStatusChange seeds unseen tasks at the report time', () => {
+  const snapshot = {};
+  assert.equal(detectStatusChange(makeTask({ id: 't1', status: 'in progress' }), snapshot, WEDNESDAY), null);
+  const since = new Date(WEDNESDAY).toISOString();
+  assert.deepEqual(snapshot.t1, { status: 'in progress', since, history: [{ status: 'in progress', since }] });
+});
+
+test('detectStatusChange reports transitions and appends them to the history', () => {
+  const snapshot = { t1: { status: 'in progress', since: '2026-03-01T00:00:00.000Z' } };
+  const task = makeTask({ id: 't1', status: 'in review', date_updated: Date.parse('2026-03-04T01:30:00Z') });
+
+  const change = detectStatusChange(task, snapshot, WEDNESDAY);
+
+  assert.deepEqual(change, { oldStatus: 'in progress', newStatus: 'in review', changeTime: 'Mar 3, 5:30 PM' });
+  assert.deepEqual(snapshot.t1, {
+    status: 'in review',
+    since: new Date(WEDNESDAY).toISOString(),
+    previousStatus: 'in progress',
+    history: [
+      { status: 'in progress', since: '2026-03-01T00:00:00.000Z' },
+      { status: 'in review', since: new Date(WEDNESDAY).toISOString() },
+    ],
+  });
+  assert.equal(allStatusChanges.get('t1'), change);
+});
+
+test('detectStatusChange returns null when the status is unchanged', () => {
+  const snapshot = { t1: { status: 'blocked', since: '2026-03-01T00:00:00.000Z' } };
+  assert.equal(detectStatusChange(makeTask({ id: 't1', status: 'blocked' }), snapshot, WEDNESDAY), null);
+  assert.equal(snapshot.t1.since, '2026-03-01T00:00:00.000Z');
+});
+
+test('statusHistory reads entries written before history existed', () => {
+  assert.deepEqual(statusHistory({ status: 'complete', since: '2026-03-06T18:24:54.622Z', previousStatus: 'in review' }), [
+    { status: 'in review', since: null },
+    { status: 'complete', since: '2026-03-06T18:24:54.622Z' },
+  ]);
+  assert.deepEqual(statusHistory(undefined), []);
+});
+
+test('summarizeStatusHistory counts transitions, time per status and regressions', () => {
+  const at = days => new Date(WEDNESDAY - days * DAY).toISOString();
+  const entry = {
+    status: 'in review',
+    history: [
+      { status: 'in progress', since: at(10) },
+      { status: 'In QA', since: at(6) },
+      { status: 'in progress', since: at(5) },
+      { status: 'blocked', since: at(3) },
+      { status: 'in review', since: at(1) },
+      { status: 'complete', since: new Date(WEDNESDAY + DAY).toISOString() },
+    ],
+  };
+
+  const summary = summarizeStatusHistory(entry, WEDNESDAY);
+
+  assert.equal(summary.transitions, 4);
+  assert.deepEqual(summary.timeInStatus, { 'in progress': 6 * DAY, 'in qa': DAY, blocked: 2 * DAY, 'in review': DAY });
+  assert.deepEqual(summary.regressions, [{ from: 'in qa', to: 'in progress', at: at(5) }]);
+  assert.equal(formatStatusHistory(summary), '4 status changes | regressed in qa → in progress | in progress 6d, in qa 1d, blocked 2d, in review 1d');
+  assert.equal(formatStatusHistory(summarizeStatusHistory({ status: 'to do', since: at(2) }, WEDNESDAY)), null);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePeriod, buildPeriodSummary } = require('../lib/summary');
+const { generateSummaryText } = require('../lib/render-text');
+const { DAY, WEDNESDAY, useTestConfig, makeTask, makeList } = require('./support');
+
+test.beforeEach(t => {
+  useTestConfig();
+  t.mock.method(console, 'log', () => {});
+});
+
+test('resolvePeriod covers the last seven report days for a week', () => {
+  const range = resolvePeriod('week', undefined, WEDNESDAY);
+  assert.equal(new Date(range.since).toISOString(), '2026-02-26T08:00:00.000Z');
+  assert.equal(range.until, WEDNESDAY);
+  assert.equal(range.title, 'Weekly Summary');
+});
+
+test('resolvePeriod starts a sprint on a multiple of its length after sprintStartDate', () => {
+  assert.throws(() => resolvePeriod('sprint', undefined, WEDNESDAY), /needs "sprintStartDate"/);
+
+  useTestConfig({ sprintStartDate: '2026-02-16', sprintLengthDays: 14 });
+  assert.equal(new Date(resolvePeriod('sprint', undefined, WEDNESDAY).since).toISOString(), '2026-03-02T08:00:00.000Z');
+
+  useTestConfig({ sprintStartDate: '2026-03-10' });
+  assert.throws(() => resolvePeriod('sprint', undefined, WEDNESDAY), /starts on 2026-03-10, after the report day/);
+});
+
+test('resolvePeriod takes a custom range from --from', () => {
+  assert.equal(new Date(resolvePeriod('custom', '2026-03-01', WEDNESDAY).since).toISOString(), '2026-03-01T08:00:00.000Z');
+  assert.throws(() => resolvePeriod('custom', undefined, WEDNESDAY), /needs --from/);
+  assert.throws(() => resolvePeriod('custom', '2026-03-05', WEDNESDAY), /must start before the report time/);
+  assert.throws(() => resolvePeriod('month', undefined, WEDNESDAY), /Unknown --period "month"/);
+});
+
+test('buildPeriodSummary collects the range and compares counts with the archived report', () => {
+  const range = resolvePeriod('week', undefined, WEDNESDAY);
+  const inside = WEDNESDAY - 3 * DAY;
+  const before = WEDNESDAY - 10 * DAY;
+  const allTasksByList = [
+    makeList('Priority', [
+      makeTask({ id: 'done', name: 'Done', status: 'complete', assignees: ['Donald Ma'], date_done: inside }),
+      makeTask({ id: 'old', name: 'Old', status: 'complete', date_done: before, date_created: before }),
+      makeTask({ id: 'new', name: 'New', priority: { priority: 'urgent' }, date_created: inside }),
+      makeTask({ id: 'new-sub', name: 'Sub', date_created: inside, parent: 'new' }),
+      makeTask({ id: 'moved', name: 'Moved' }),
+    ]),
+    makeList('v1.5 Search', [makeTask({ id: 'm1', name: 'Indexing', custom_item_id: 1 })], 'L1'),
+    makeList('Graveyard', [makeTask({ id: 'buried', status: 'complete', date_done: inside })]),
+  ];
+  const at = ms => new Date(ms).toISOString();
+  const dateSnapshot = {
+    moved: { dueDate: 'Mar 9, 2026', dueDateChanges: [
+      { from: 'Feb 20, 2026', to: 'Feb 27, 2026', at: at(before) },
+      { from: 'Mar 2, 2026', to: 'Mar 9, 2026', at: at(inside) },
+    ] },
+    m1: { dueDate: 'Mar 20, 2026', dueDateChanges: [{ from: 'Mar 13, 2026', to: 'Mar 20, 2026', at: at(inside - DAY) }] },
+    feature_L1: { dueDate: 'Apr 1, 2026', dueDateChanges: [{ from: 'Mar 27, 2026', to: 'Apr 1, 2026', at: at(inside) }] },
+  };
+  const statusSnapshot = {
+    feature_L1: { status: 'In QA', since: at(inside), history: [
+      { status: 'Planning', since: at(before) },
+      { status: 'In Development', since: at(before + DAY) },
+      { status: 'In QA', since: at(inside) },
+    ] },
+  };
+  const current = {
+    blockedTasks: [{ id: 'b1', dueDate: 'Mar 1, 2026' }, { id: 'b2', dueDate: 'TBD' }],
+    taskUpdates: [],
+    featureUpdates: [{ id: 'L1', name: 'Search' }],
+  };
+  const manifest = {
+    '2026-02-20': { reportDate: 'February 20, 2026', completed: 1, blocked: 5, overdue: 0 },
+    '2026-02-25': { reportDate: 'February 25, 2026', completed: 2, blocked: 4, overdue: 2 },
+    '2026-02-27': { reportDate: 'February 27, 2026', completed: 0, blocked: 9, overdue: 9 },
+  };
+
+  const summary = buildPeriodSummary(range, { allTasksByList, statusSnapshot, dateSnapshot, current, manifest });
+
+  assert.deepEqual(summary.completed.map(t => [t.id, t.initials, t.completedDate]), [['done', ['DM'], 'Mar 1, 2026']]);
+  assert.deepEqual(summary.created.map(t => t.id), ['new']);
+  assert.deepEqual(summary.counts, {
+    baselineDate: 'February 25, 2026',
+    blocked: { start: 4, end: 2, change: -2 },
+    overdue: { start: 2, end: 1, change: -1 },
+  });
+  assert.deepEqual(summary.featureChanges, [{ id: 'L1', name: 'Search', from: 'In Development', to: 'In QA', changedDate: 'Mar 1, 2026' }]);
+  assert.deepEqual(summary.slips.map(s => [s.kind, s.name, s.from, s.to]), [
+    ['milestone', 'Indexing', 'Mar 13, 2026', 'Mar 20, 2026'],
+    ['task', 'Moved', 'Mar 2, 2026', 'Mar 9, 2026'],
+    ['feature', 'Search', 'Mar 27, 2026', 'Apr 1, 2026'],
+  ]);
+
+  const text = generateSummaryText(summary, 'text');
+  assert.match(text, /^Weekly Summary\nFeb 26, 2026 – Mar 4, 2026\n/);
+  assert.ok(text.includes('- Blocked: 4 -> 2 (-2)'));
+  assert.ok(text.includes('Compared with the February 25, 2026 report.'));
+  assert.ok(text.includes('- New [urgent] | Priority | Created: Mar 1, 2026'));
+  assert.ok(text.includes('- Search: In Development -> In QA (Mar 1, 2026)'));
+  assert.ok(text.includes('- Moved (Task) | Due: Mar 2, 2026 -> Mar 9, 2026 (Mar 1, 2026)'));
+});
+
+test('buildPeriodSummary reports current counts alone without an earlier archived report', () => {
+  const range = resolvePeriod('week', undefined, WEDNESDAY);
+  const current = { blockedTasks: [{ id: 'b1', dueDate: 'TBD' }], taskUpdates: [], featureUpdates: [] };
+  const summary = buildPeriodSummary(range, { allTasksByList: [], statusSnapshot: {}, dateSnapshot: {}, current, manifest: {} });
+
+  assert.deepEqual(summary.counts.blocked, { start: null, end: 1, change: null });
+  const text = generateSummaryText(summary, 'markdown');
+  assert.ok(text.includes('- Blocked: 1'));
+  assert.ok(text.includes('_No archived report from before the period to compare with._'));
+  assert.ok(text.includes('_No tasks completed in this period._'));
+});
@@ -0,0 +1,59 @@
+const { validateConfig, useConfig } = require('../lib/config');
+const { allStatusChanges } = require('../lib/snapshots');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Wednesday Mar 4, 2026, 9:00 AM in Los Angeles
+const WEDNESDAY = Date.parse('2026-03-04T17:00:00Z');
+// Monday Mar 9, 2026, 9:00 AM in Los Angeles (PDT)
+const MONDAY = Date.parse('2026-03-09T16:00:00Z');
+
+const TEST_CONFIG = {
+  spaceName: 'Test Space',
+  folderName: 'Test Folder',
+  timezone: 'America/Los_Angeles',
+  teamMembers: ['Donald Ma', 'Sarah Dong', 'Alex Fex'],
+  excludedLists: ['graveyard'],
+  taskUpdateLists: ['Priority', 'QA/Usability'],
+  recentlyCreatedLists: ['Priority'],
+  excludedStatuses: ['to do', 'paused', 'complete', 'closed'],
+  staleThresholdsDays: { 'in review': 3, 'in progress': 7 },
+  defaultStaleDays: 5,
+};
+
+function useTestConfig(overrides = {}) {
+  useConfig(validateConfig({ ...TEST_CONFIG, ...overrides }, 'test config'));
+  allStatusChanges.clear();
+}
+
+// A ClickUp task as returned by /list/{id}/task. Timestamps are passed as
+// numbers and converted to the string millis the API uses.
+function makeTask({ status = 'in progress', assignees = [], ...fields } = {}) {
+  const task = {
+    id: 'task1',
+    name: 'Task',
+    status: { status },
+    assignees: assignees.map((username, i) => ({ id: 100 + i, username })),
+    ...fields,
+  };
+  for (const key of ['date_created', 'date_updated', 'date_closed', 'date_done', 'start_date', 'due_date']) {
+    if (typeof task[key] === 'number') task[key] = String(task[key]);
+  }
+  return task;
+}
+
+function makeList(name, tasks, id = name) {
+  return { list: { id, name }, tasks };
+}
+
+module.exports = {
+  HOUR,
+  DAY,
+  WEDNESDAY,
+  MONDAY,
+  TEST_CONFIG,
+  useTestConfig,
+  makeTask,
+  makeList,
+};
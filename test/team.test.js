@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTeamMembers, findUnknownAssignees, describeUnknownAssignee } = require('../lib/team');
+const { useTestConfig, makeTask, makeList } = require('./support');
+
+test.beforeEach(() => useTestConfig());
+
+const workspace = [
+  { user: { id: 11, username: 'Donald Ma', email: 'donald@example.com' } },
+  { user: { id: 12, username: 'sdong', email: 'sarah.dong@example.com' } },
+  { user: { id: 13, username: 'Alex Fex' } },
+  { user: { id: 14, username: 'alex fex' } },
+];
+
+test('resolveTeamMembers fills in ids by username or email and warns about the rest', () => {
+  useTestConfig({ teamMembers: ['Donald Ma', 'sarah.dong@example.com', 'Alex Fex', 'Brian Currie', { id: 99, name: 'Gone Person' }] });
+  const { members, warnings } = resolveTeamMembers(workspace);
+
+  assert.deepEqual(members.map(m => [m.name, m.id]), [
+    ['Donald Ma', '11'],
+    ['sarah.dong@example.com', '12'],
+    ['Alex Fex', null],
+    ['Brian Currie', null],
+    ['Gone Person', '99'],
+  ]);
+  assert.deepEqual(warnings, [
+    'Team member "Alex Fex" matches several workspace members; add their ClickUp user id to teamMembers',
+    'Team member "Brian Currie" matches no workspace member; add their ClickUp user id to teamMembers',
+    'Team member "Gone Person" (ClickUp user 99) is not in the workspace',
+  ]);
+});
+
+test('findUnknownAssignees counts tasks assigned to people outside the team', () => {
+  const assign = (task, ...users) => ({ ...task, assignees: users.map(([id, username]) => ({ id, username })) });
+  const allTasksByList = [
+    makeList('Priority', [
+      assign(makeTask({ id: 't1' }), [1, 'Donald Ma'], [7, 'Contractor']),
+      assign(makeTask({ id: 't2' }), [7, 'Contractor']),
+      assign(makeTask({ id: 't3' }), [8, 'Sarah'], [7, 'Contractor']),
+    ]),
+    makeList('Graveyard', [assign(makeTask({ id: 't4' }), [9, 'Old Hand'])]),
+  ];
+
+  assert.deepEqual(findUnknownAssignees(allTasksByList), [
+    { id: '7', username: 'Contractor', taskCount: 3 },
+    { id: '8', username: 'Sarah', taskCount: 1 },
+  ]);
+  assert.equal(describeUnknownAssignee({ id: '7', username: 'Contractor', taskCount: 3 }), '3 tasks assigned to "Contractor" (ClickUp user 7), who is not in teamMembers');
+  assert.equal(describeUnknownAssignee({ id: '8', username: null, taskCount: 1 }), '1 task assigned to ClickUp user 8, who is not in teamMembers');
+});